@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * Precomputes the locale ranks of table columns from a CSV or JSON data file and writes them in the format of
+ * exportStringLocaleCache(), so pages can pass them to importStringLocaleCache() (or the "importCache" option)
+ * and browsers never collate the data themselves. Uses the ranking core of the plugin, DT_localesort.core.js, with Node's full ICU.
+ *
+ * usage:
+ * node bin/localesort-ranks.js [options] <data.csv|data.json>
+ *
+ *   --column <selector>      column to rank, repeatable: a column of the data file by index (0 based) or by name
+ *                            (CSV header or object property), "<table column index>=<selector>" when the table's column index differs
+ *   --locale <tag>           BCP 47 locale, required, repeatable for a list of tags in order of preference (set the same one on the table),
+ *                            at least one of them has to be supported by Node's ICU
+ *   --collator-options <json> Intl.Collator options, e.g. '{"sensitivity":"base"}'
+ *   --numeric                natural order of digit runs, same as the numeric collator option
+ *   --case-insensitive       order ignoring case, same as "caseInsensitive": true
+ *   --normalize [form]       normalize values before ranking: all steps (NFC, trim, whitespace, zero width), or only a form ("NFD", ...)
+ *   --equivalence <level>    which values share a rank: "collator" (default), "strict", "base", "accent", "case", "variant",
+ *                            a level has to fit the collator's sensitivity ("case" needs --collator-options '{"sensitivity":"case"}')
+ *   --delimiter <char>       CSV delimiter, default ","
+ *   --no-header              the CSV has no header row
+ *   --data-src <property>    property of a JSON object holding the rows, default "data" (DataTables' ajax format)
+ *   --output <file>          write the ranks to this file instead of stdout
+ *
+ * The table's stringLocaleMapped options have to match (locale, collator options, caseInsensitive, normalize, equivalence),
+ * columns with a preprocess function can not be ranked here. A summary of each column is printed to stderr.
+ *
+ * @example
+ * ´´´
+ * node bin/localesort-ranks.js --locale de --collator-options '{"sensitivity":"base"}' --column name --column 2=place export.csv --output ranks.json
+ * ´´´
+ */
+(function(){
+  "use strict";
+
+  var fs = require('fs');
+  var path = require('path');
+  var core = require(path.join(__dirname, '..', 'js', 'DT_localesort.core.js'));
+
+  function usage() {
+    var src = fs.readFileSync(__filename, 'utf8');
+    return src.slice(src.indexOf(' * usage:'), src.indexOf(' * @example')).replace(/^ \* ?/gm, '').trim();
+  }
+
+  // the values of --equivalence, functions can not be given on the command line
+  var equivalences = ["collator", "strict", "base", "accent", "case", "variant"];
+
+  /*
+   * the command line as { file, columns, options, delimiter, header, dataSrc, output }, throws an Error for unknown, incomplete or invalid
+   * arguments: locales Node's ICU does not support, unknown equivalence levels and collator options that are not an object
+   */
+  function parseArgs(args) {
+    var parsed = { file: null, columns: [], options: {}, delimiter: ",", header: true, dataSrc: "data", output: null };
+    var locales = [];
+    function value(i) {
+      if (i >= args.length || /^--/.test(args[i])) {
+        throw new Error(args[i - 1] + " needs a value");
+      }
+      return args[i];
+    }
+    for (var i = 0; i < args.length; i++) {
+      switch (args[i]) {
+        case "--column":
+          parsed.columns.push(value(++i));
+          break;
+        case "--locale":
+          locales.push(value(++i));
+          break;
+        case "--collator-options":
+          try {
+            parsed.options.collatorOptions = JSON.parse(value(++i));
+          } catch (e) {
+            throw new Error("--collator-options needs a JSON object: " + e.message);
+          }
+          if (! parsed.options.collatorOptions || typeof parsed.options.collatorOptions !== "object" || Array.isArray(parsed.options.collatorOptions)) {
+            throw new Error("--collator-options needs a JSON object, not " + args[i]);
+          }
+          break;
+        case "--numeric":
+          parsed.options.numeric = true;
+          break;
+        case "--case-insensitive":
+          parsed.options.caseInsensitive = true;
+          break;
+        case "--normalize":
+          parsed.options.normalize = /^NF/.test(args[i + 1] || "") ? args[++i] : true;
+          break;
+        case "--equivalence":
+          parsed.options.equivalence = value(++i);
+          if (equivalences.indexOf(parsed.options.equivalence) < 0) {
+            throw new Error("--equivalence needs one of " + equivalences.join(", ") + ", not " + parsed.options.equivalence);
+          }
+          break;
+        case "--delimiter":
+          parsed.delimiter = value(++i) === "\\t" ? "\t" : args[i];
+          break;
+        case "--no-header":
+          parsed.header = false;
+          break;
+        case "--data-src":
+          parsed.dataSrc = value(++i);
+          break;
+        case "--output":
+          parsed.output = value(++i);
+          break;
+        default:
+          if (/^--/.test(args[i]) || parsed.file) {
+            throw new Error("unknown argument " + args[i]);
+          }
+          parsed.file = args[i];
+      }
+    }
+    if (! parsed.file || ! parsed.columns.length) {
+      throw new Error("needs a data file and at least one --column");
+    }
+    // without a locale the ranks would follow Node's default one and the payload could not be imported into any table
+    if (! locales.length) {
+      throw new Error("needs --locale, the same as the table's \"locale\" option");
+    }
+    // ranks for a locale Node's ICU does not have would follow its root collation, not the one the table asks the browser for
+    var supported;
+    try {
+      supported = Intl.Collator.supportedLocalesOf(locales);
+    } catch (e) {
+      throw new Error("--locale " + locales.join(", ") + ": " + e.message);
+    }
+    if (! supported.length) {
+      throw new Error("--locale " + locales.join(", ") + ": not supported by the ICU of this Node.js, see Intl.Collator.supportedLocalesOf()");
+    }
+    parsed.options.locale = locales;
+    return parsed;
+  }
+
+  /*
+   * rows of a CSV text as arrays of strings (RFC 4180: quoted fields may contain delimiters, line breaks and doubled quotes),
+   * an empty last line is ignored
+   */
+  function parseCsv(text, delimiter) {
+    var rows = [], row = [], field = "";
+    var quoted = false;
+    var i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+    for (; i < text.length; i++) {
+      var c = text.charAt(i);
+      if (quoted) {
+        if (c === '"' && text.charAt(i + 1) === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c === '"' && field === "") {
+        quoted = true;
+      } else if (c === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text.charAt(i + 1) === "\n") {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += c;
+      }
+    }
+    if (field !== "" || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // the rows of a data file (arrays or objects), the names of its columns (CSV header, empty for JSON) and whether it is a CSV
+  function readData(file, parsed) {
+    var text = fs.readFileSync(file, 'utf8');
+    if (/\.json$/i.test(file)) {
+      var json = JSON.parse(text);
+      var rows = Array.isArray(json) ? json : json && json[parsed.dataSrc];
+      if (! Array.isArray(rows)) {
+        throw new Error(file + " needs an array of rows, or an object with one in \"" + parsed.dataSrc + "\"");
+      }
+      return { rows: rows, names: [], csv: false };
+    }
+    var csv = parseCsv(text, parsed.delimiter);
+    return { rows: parsed.header ? csv.slice(1) : csv, names: parsed.header && csv.length ? csv[0] : [], csv: true };
+  }
+
+  /*
+   * a --column selector as { column, get }: the table's column index and a function reading the value of a row.
+   * "2" is column 2 of the data and of the table, "name" a CSV column (table column index as in the CSV) or an object property,
+   * "0=name" sets the table column index. Throws an Error for names missing in the CSV header and columns no row has
+   */
+  function parseSelector(selector, data) {
+    var match = /^(\d+)=(.+)$/.exec(selector);
+    var column = match ? Number(match[1]) : null;
+    var source = match ? match[2] : selector;
+    var index = /^\d+$/.test(source) ? Number(source) : data.names.indexOf(source);
+    var select;
+
+    if (index >= 0) {
+      select = { column: column === null ? index : column, get: function (row) { return Array.isArray(row) ? row[index] : row[source]; } };
+    } else if (data.csv) {
+      throw new Error("--column " + selector + ": " + source + " is not a column of the CSV header" + (data.names.length ? " (" + data.names.join(", ") + ")" : ""));
+    } else if (column === null) {
+      throw new Error("--column " + selector + ": give the table's column index of " + source + ", e.g. --column 0=" + source);
+    } else {
+      select = { column: column, get: function (row) { return row == null ? undefined : row[source]; } };
+    }
+    if (data.rows.length && ! data.rows.some(function (row) { return row != null && select.get(row) !== undefined; })) {
+      throw new Error("--column " + selector + ": no row has a value for " + source);
+    }
+    return select;
+  }
+
+  function main(args) {
+    if (! args.length || args.indexOf("--help") >= 0) {
+      console.log(usage());
+      return 0;
+    }
+    var parsed = parseArgs(args);
+    var data = readData(parsed.file, parsed);
+    var payload = {
+      version: core.cacheFormatVersion,
+      columns: parsed.columns.map(function (selector) {
+        var select = parseSelector(selector, data);
+        var start = Date.now();
+        var column = core.rankColumn(data.rows.map(select.get), parsed.options);
+        console.error("column " + select.column + " (" + selector + "): " + column.rows + " rows, " + column.distinct.keys.length +
+          " distinct values, locale " + column.locale + ", " + (Date.now() - start) + " ms");
+        return core.exportColumn(select.column, column);
+      })
+    };
+    var json = JSON.stringify(payload);
+    if (parsed.output) {
+      fs.writeFileSync(parsed.output, json);
+    } else {
+      process.stdout.write(json + "\n");
+    }
+    return 0;
+  }
+
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error("localesort-ranks: " + e.message);
+    console.error("see --help");
+    process.exitCode = 1;
+  }
+
+})();
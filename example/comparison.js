@@ -24,7 +24,8 @@ jQuery(document).ready(function($) {
 
             "stringLocaleMapped": {
                 "caseInsensitive": true,  // optional, when not true, the locale's default behaviour is used
-                "locale": "de"            // optional, default will be browser locale
+                "locale": "de",           // optional, default will be browser locale
+                "worker": true            // optional, build the sort caches in a Web Worker without freezing the page
             },
 
             // other DT options, set because we have lots of data to make things more convenient (see DataTables documentation)
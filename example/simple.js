@@ -22,12 +22,13 @@ jQuery(document).ready(function($) {
 
             $table.api().clear() // clear stale data
                 .rows.add( usedDataSet)// load new data (will not reorder, filter, redraw the table)
-                .invalidateStringLocaleMappedCache() // clear sort caches, will recalc on next redraw
+                // sort caches are rebuilt automatically on next redraw, since the rows have changed
                 .draw(); // redraw
 
             // alternatively, after rows have changed, use
             // .recalcStringLocaleMappedCache()
-            // which will recalc the sort order immediately. Preferably you would run this async, e.g. after ajax load success, then redraw
+            // which will recalc the sort order immediately. Preferably you would run this async, e.g. after ajax load success, then redraw:
+            // $table.api().recalcStringLocaleMappedCacheAsync().then(function () { $table.api().draw(); });
         });
 
     }();
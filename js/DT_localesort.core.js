@@ -0,0 +1,1224 @@
+/**
+ * The ranking core of DT_localesort.js: orders the values of a column with Intl.Collator (or the bundled fallback collation
+ * where there is none) and hands out the rank of each value. It has no dependencies and runs in the browser (include it before DT_localesort.js),
+ * in the plugin's Web Worker and in Node with full ICU, e.g. to precompute the ranks of a data export for importStringLocaleCache()
+ * or to unit test the order of a locale.
+ *
+ * rankColumn(values, options) takes the cell values of a column and the stringLocaleMapped options of the plugin
+ * (locale, caseInsensitive, collatorOptions, numeric, normalize, preprocess, compare, equivalence, equivalent) and returns
+ * { locale, collatorOptions, equivalence, rows, fingerprint, ranks, distinct }: the negotiated locale and the options used,
+ * the fingerprint of the sort keys, the rank of each value (a Uint16Array or Uint32Array, rows with equivalent values share a rank)
+ * and the sorted distinct sort keys ({ keys, ranks, counts }, parallel arrays).
+ *
+ * @summary Locale aware ranks of column values, without jQuery and DataTables
+ *
+ * @author [Andreas Furtner](https://github.com/AFurtner/)
+ *
+ * @example
+ * ´´´
+ * var localeCore = require('./js/DT_localesort.core.js');
+ * var column = localeCore.rankColumn(["Zeder", "Ärzte", "Arzt", "Ast"], { "locale": "de", "collatorOptions": { "sensitivity": "base" } });
+ * column.ranks;         // Uint16Array [3, 1, 0, 2]
+ * column.distinct.keys; // ["Arzt", "Ärzte", "Ast", "Zeder"]
+ *
+ * // a column entry of the exportStringLocaleCache() format, importStringLocaleCache() checks locale, options and fingerprint against the table
+ * var payload = { version: localeCore.cacheFormatVersion, columns: [ localeCore.exportColumn(0, column) ] };
+ * ´´´
+ */
+(function(){
+  var factory = function() {
+    "use strict";
+
+    /*
+     * the expensive part of ranking a column, i.e. sorting its sort keys with the collator.
+     * Must not reference anything outside of itself: its source code is run in the Web Worker as well, see getWorker() in DT_localesort.js
+     */
+    function rankingCore() {
+      function onlyAsciiChars(elem) {
+        for (var i = 0; i < elem.length; ++i) {
+          // true when 7Bit characters only,  not sure this works for all code points?!
+          if ((0xFF80 & elem.charCodeAt(i)) != 0) { return false; }
+        }
+        return true;
+      }
+
+      function haveIntlCollator() {
+        return typeof Intl != "undefined" && Intl.Collator != undefined;
+      }
+
+      /*
+       * Intl.Collator, or where it is missing (embedded WebViews, runtimes without ECMA-402) the bundled fallback collation
+       * for the languages having a table, else String.localeCompare. Fallbacks tell what they are in resolvedOptions().fallback
+       */
+      function createCollator(locale, options) {
+        // note: at least in tested browsers Intl.Collator('de').compare always puts "aalähnlich" before "Aalangel" even with its caseFirst option is set to "upper"
+        if (haveIntlCollator()) {
+          return new Intl.Collator(locale, options);
+        }
+        var language = fallbackLanguage(locale);
+        if (language) {
+          return createFallbackCollator(language, options || {});
+        }
+        return {
+          compare: function (x, y) { return x.localeCompare(y); },
+          resolvedOptions: function () { return { locale: undefined, fallback: "localeCompare" }; }
+        };
+      }
+
+      /*
+       * tailorings of the default latin alphabet (below) for the languages of the bundled fallback collation:
+       * "x<y" ranks y as a letter of its own right after x, "x,y" ranks y as a variant (like an accent) of x.
+       * Letters may be contractions of two characters ("ch" in Czech, "aa" in Danish).
+       */
+      var fallbackTailorings = {
+        de: "",
+        fr: "",
+        es: "n<ñ",
+        sv: "ŷ,ü,ű z<å<ä,æ<ö,ø,ő",
+        fi: "ŷ,ü z<å<ä,æ<ö,ø",
+        da: "ŷ,ü,ű z<æ,ä<ø,ö,ő<å,aa",
+        nb: "ŷ,ü,ű z<æ,ä<ø,ö,ő<å,aa",
+        pl: "a<ą c<ć e<ę l<ł n<ń o<ó s<ś z<ź<ż",
+        cs: "c<č h<ch r<ř s<š z<ž"
+      };
+      var fallbackAliases = { no: "nb", nn: "nb" };
+      // languages ordering uppercase before lowercase by default
+      var fallbackUpperFirst = { da: true };
+
+      // the default latin alphabet: each letter followed by its accented variants
+      var fallbackLetters = "aàáâãäåāăąǎ b cçćĉċč dďđð eèéêëēĕėęě f gĝğġģ hĥħ iìíîïĩīĭįı jĵ kķ lĺļľŀł m nñńņňŉ oòóôõöøōŏőǒ p q rŕŗř " +
+          "sśŝşšș tţťŧț uùúûüũūŭůűųǔ v wŵ x yýÿŷ zźżž þ";
+      // expansions, ranked like these letters but after them ("ß" after "ss")
+      var fallbackExpansions = { "ß": "ss", "æ": "ae", "œ": "oe" };
+
+      // weight ranges of the primary level: spaces and punctuation, then digits, then letters, then everything else in code point order
+      var DIGIT_WEIGHT = 0x10000, LETTER_WEIGHT = 0x20000, OTHER_WEIGHT = 0x40000;
+      var punctuation = /[\s!-\/:-@\[-`{-~\u00A0-\u00BF\u00D7\u00F7\u2000-\u206F\u3000-\u303F]/;
+
+      var fallbackTables = {};
+
+      // the language of the bundled fallback collation for a locale, undefined when there is no table for it
+      function fallbackLanguage(locale) {
+        var language = typeof locale === "string" ? locale.split(/[-_]/)[0].toLowerCase() : "";
+        language = fallbackAliases[language] || language;
+        return fallbackTailorings.hasOwnProperty(language) ? language : undefined;
+      }
+
+      // the table of a language: sort key weights [primary, secondary, ...] of each lowercase letter (or contraction)
+      function fallbackTable(language) {
+        if (fallbackTables[language]) {
+          return fallbackTables[language];
+        }
+        var table = { weights: {}, contractions: {} };
+        var groups = fallbackLetters.split(" ");
+        var i, j;
+        for (i = 0; i < groups.length; i++) {
+          for (j = 0; j < groups[i].length; j++) {
+            // gaps of 16 between the letters leave room for tailored ones
+            table.weights[groups[i].charAt(j)] = [LETTER_WEIGHT + (i + 1) * 16, j];
+          }
+        }
+
+        for (var letter in fallbackExpansions) {
+          if (fallbackExpansions.hasOwnProperty(letter)) {
+            var expansion = fallbackExpansions[letter].split("").map(function (c) { return table.weights[c]; });
+            table.weights[letter] = [].concat.apply([], expansion.map(function (weight) { return [weight[0], weight[1] + 1]; }));
+          }
+        }
+
+        fallbackTailorings[language].split(" ").forEach(function (rule) {
+          var tokens = rule.split(/([<,])/);
+          var prev = table.weights[tokens[0]];
+          for (var k = 1; k < tokens.length; k += 2) {
+            var weight = tokens[k] === "<" ? [prev[0] + 1, 0] : [prev[0], prev[1] + 1];
+            table.weights[tokens[k + 1]] = weight;
+            if (tokens[k + 1].length > 1) {
+              table.contractions[tokens[k + 1]] = true;
+            }
+            prev = weight;
+          }
+        });
+        fallbackTables[language] = table;
+        return table;
+      }
+
+      /*
+       * a collator like Intl.Collator using the bundled table of a language, compares on three levels:
+       * letters (primary), accents (secondary) and case (tertiary). Supports the sensitivity, numeric, caseFirst and ignorePunctuation options
+       */
+      function createFallbackCollator(language, options) {
+        var table = fallbackTable(language);
+        var sensitivity = options.sensitivity || "variant";
+        var secondary = sensitivity === "accent" || sensitivity === "variant";
+        var tertiary = sensitivity === "case" || sensitivity === "variant";
+        var upperFirst = options.caseFirst ? options.caseFirst === "upper" : fallbackUpperFirst[language] === true;
+        var keys = {}, keyCount = 0;
+
+        function add(key, primary, secondaryWeight, upper) {
+          key.p.push(primary);
+          key.s.push(secondaryWeight);
+          key.t.push(upper === null || upper === upperFirst ? 0 : 1); // null: characters without case
+        }
+
+        function sortKeyOf(value) {
+          var key = { p: [], s: [], t: [] };
+          for (var i = 0; i < value.length; i++) {
+            var c = value.charAt(i), lower = c.toLowerCase();
+            var upper = c !== lower ? true : c !== c.toUpperCase() ? false : null;
+            var pair = value.substr(i, 2).toLowerCase();
+            var weights = table.contractions[pair] ? table.weights[pair] : table.weights[lower];
+            var code = c.charCodeAt(0);
+            if (table.contractions[pair]) {
+              i++;
+            }
+            if (weights) {
+              for (var w = 0; w < weights.length; w += 2) {
+                add(key, weights[w], weights[w + 1], upper);
+              }
+            } else if (code >= 48 && code <= 57) {
+              var end = i;
+              while (end < value.length && value.charCodeAt(end) >= 48 && value.charCodeAt(end) <= 57) {
+                end++;
+              }
+              if (options.numeric) {
+                // a run of digits is ranked by its value: its number of significant digits first, then the digits
+                var start = i;
+                while (start < end - 1 && value.charCodeAt(start) === 48) {
+                  start++;
+                }
+                add(key, DIGIT_WEIGHT + 16 + end - start, 0, null);
+                i = start;
+              }
+              for (; i < end; i++) {
+                add(key, DIGIT_WEIGHT + value.charCodeAt(i) - 48, 0, null);
+              }
+              i--;
+            } else if (punctuation.test(c)) {
+              if (! options.ignorePunctuation) {
+                add(key, 1 + code, 0, null);
+              }
+            } else if (lower.normalize && table.weights[lower.normalize("NFKD").charAt(0)]) {
+              // other accented latin letters rank as variants of their base letter
+              add(key, table.weights[lower.normalize("NFKD").charAt(0)][0], 63, upper);
+            } else {
+              add(key, OTHER_WEIGHT + code, 0, upper);
+            }
+          }
+          return key;
+        }
+
+        function getKey(value) {
+          var key = keys["$" + value];
+          if (! key) {
+            if (++keyCount > 10000) { // compares of a whole column reuse keys, but do not keep them forever
+              keys = {};
+              keyCount = 1;
+            }
+            key = keys["$" + value] = sortKeyOf(value);
+          }
+          return key;
+        }
+
+        function compareWeights(a, b) {
+          for (var i = 0; i < a.length && i < b.length; i++) {
+            if (a[i] !== b[i]) {
+              return a[i] < b[i] ? -1 : 1;
+            }
+          }
+          return a.length < b.length ? -1 : a.length > b.length ? 1 : 0;
+        }
+
+        return {
+          compare: function (x, y) {
+            var a = getKey(x), b = getKey(y);
+            return compareWeights(a.p, b.p)
+                || (secondary ? compareWeights(a.s, b.s) : 0)
+                || (tertiary ? compareWeights(a.t, b.t) : 0);
+          },
+          resolvedOptions: function () {
+            return {
+              locale: language,
+              usage: "sort",
+              sensitivity: sensitivity,
+              ignorePunctuation: options.ignorePunctuation === true,
+              collation: "default",
+              numeric: options.numeric === true,
+              caseFirst: upperFirst ? "upper" : "false",
+              fallback: "table"
+            };
+          }
+        };
+      }
+
+      /*
+       * the tag, with its extensions and subtags removed one by one from the end,
+       * e.g. "zh-Hant-TW-u-co-stroke", "zh-Hant-TW", "zh-Hant", "zh"
+       */
+      function fallbackChain(tag) {
+        var subtags = tag.replace(/_/g, "-").split("-");
+        var chain = [subtags.join("-")];
+        for (var i = 1; i < subtags.length; i++) {
+          if (subtags[i].length === 1) { // singleton, i.e. start of extensions (-u-, -t-) or private use (-x-)
+            subtags.length = i;
+            chain.push(subtags.join("-"));
+            break;
+          }
+        }
+        while (subtags.length > 1) {
+          subtags.pop();
+          chain.push(subtags.join("-"));
+        }
+        return chain;
+      }
+
+      /*
+       * negotiates the locale for Intl.Collator from BCP 47 tags in order of preference:
+       * the first tag supported by the runtime, trying the fallback chain of each tag before the next one ("sv-FI", "sv", then "de").
+       * Returns undefined when none is supported, the runtime's default locale is used then.
+       * Without Intl.Collator the first tag of a language with a bundled fallback collation is used, else the first tag.
+       */
+      function negotiateLocale(tags) {
+        if (! haveIntlCollator()) {
+          return tags.filter(fallbackLanguage)[0] || tags[0];
+        }
+        if (! Intl.Collator.supportedLocalesOf) {
+          return tags[0];
+        }
+        for (var i = 0; i < tags.length; i++) {
+          var chain = fallbackChain(tags[i]);
+          for (var j = 0; j < chain.length; j++) {
+            try {
+              if (Intl.Collator.supportedLocalesOf(chain[j]).length) {
+                return chain[j];
+              }
+            } catch (e) {
+              // RangeError: not a well-formed language tag, try the next one
+            }
+          }
+        }
+        return undefined;
+      }
+
+      function isDigit(code) {
+        return code >= 48 && code <= 57;
+      }
+
+      /*
+       * the ASCII fast path: weights of the ASCII characters taken from the collator itself, so comparing ASCII strings by the table
+       * gives the collator's order for the active locale and options (tailored letters, caseFirst, ignorePunctuation, numeric)
+       * without calling it. Characters the collator ignores get primary weight 0, letters differing in case only share their primary weight.
+       */
+      function createAsciiTable(coll, baseColl, numeric) {
+        var table = { primary: new Array(128), tertiary: new Array(128), numeric: numeric };
+        var chars = [];
+        var c, i;
+        for (c = 0; c < 128; c++) {
+          if (coll.compare("a" + String.fromCharCode(c) + "b", "ab") === 0) {
+            table.primary[c] = table.tertiary[c] = 0;
+          } else {
+            chars.push(String.fromCharCode(c));
+          }
+        }
+        chars.sort(function (x, y) {
+          return coll.compare(x, y) || (x < y ? -1 : 1);
+        });
+        var primary = 1, tertiary = 0;
+        for (i = 0; i < chars.length; i++) {
+          if (i > 0 && coll.compare(chars[i-1], chars[i]) !== 0) {
+            if (baseColl.compare(chars[i-1], chars[i]) !== 0) {
+              primary++;
+              tertiary = 0;
+            } else {
+              tertiary++;
+            }
+          }
+          table.primary[chars[i].charCodeAt(0)] = primary;
+          table.tertiary[chars[i].charCodeAt(0)] = tertiary;
+        }
+        return table;
+      }
+
+      /*
+       * the sort key of an ASCII string by the table: its primary weights, a separator below all weights, then its tertiary weights.
+       * Comparing these keys as plain strings gives the table's order, so each key is built once and then compared natively.
+       * Ignorable characters are left out. With the numeric option a run of digits is the weight of "0", the number of its digits
+       * and its digits, leading zeros stripped, so runs compare by their value like the collator does ("Raum 2" < "Raum 10",
+       * "a01" equals "a1"); they have no tertiary weights, the primary ones already aligned them
+       */
+      function asciiSortKey(table, value) {
+        // weights are collected as char codes in reused buffers and turned into a string at once, concatenating each would cost far more
+        var codes = keyCodes, tertiaryCodes = keyTertiaryCodes;
+        var primary = table.primary, tertiary = table.tertiary, numeric = table.numeric;
+        var n = 0, t = 0;
+        var c, w, end;
+        for (var i = 0; i < value.length; i++) {
+          c = value.charCodeAt(i);
+          w = primary[c];
+          if (w === 0) {
+            continue;
+          }
+          if (numeric && c >= 48 && c <= 57) {
+            while (c === 48 && isDigit(value.charCodeAt(i + 1))) {
+              c = value.charCodeAt(++i);
+            }
+            for (end = i; isDigit(value.charCodeAt(end)); end++) { /* run of digits */ }
+            codes[n++] = primary[48];
+            codes[n++] = end - i + 1;
+            for (; i < end; i++) {
+              codes[n++] = primary[value.charCodeAt(i)];
+            }
+            i--;
+          } else {
+            codes[n++] = w;
+            tertiaryCodes[t++] = tertiary[c] + 1;
+          }
+        }
+        codes[n++] = 0;
+        for (i = 0; i < t; i++) {
+          codes[n++] = tertiaryCodes[i];
+        }
+        return codesToString(codes, n);
+      }
+      var keyCodes = [], keyTertiaryCodes = [];
+
+      // the string of the first n char codes, in slices for long ones: apply() passes each code as an argument
+      function codesToString(codes, n) {
+        if (n <= 4096) {
+          codes.length = n;
+          return String.fromCharCode.apply(null, codes);
+        }
+        var parts = [];
+        for (var i = 0; i < n; i += 4096) {
+          parts.push(String.fromCharCode.apply(null, codes.slice(i, Math.min(i + 4096, n))));
+        }
+        return parts.join("");
+      }
+
+      // like the collator: any difference of letters, digits and punctuation wins over differences in case
+      function compareAscii(table, a, b) {
+        a = asciiSortKey(table, a);
+        b = asciiSortKey(table, b);
+        return a < b ? -1 : a > b ? 1 : 0;
+      }
+
+      // strings the ASCII table is checked with: all characters alone and next to others, all pairs of letters (contractions!) and digit runs
+      function asciiCheckStrings() {
+        var letters = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ";
+        var strings = ["1", "2", "9", "10", "01", "001", "a1", "a2", "a10", "a01", "1a", "10a", "a1b2", "a1b10", "a01b3", "1.5", "1.10",
+          "a 1", "a-1", "apple", "Apple", "Zebra", "zebra", "co-op", "coop", "co op", "O'Neil", "Oneil"];
+        var i, j, c;
+        for (i = 0; i < 128; i++) {
+          c = String.fromCharCode(i);
+          strings.push(c, c + "a", "a" + c, "A" + c, "a" + c + "b", c + "1");
+        }
+        for (i = 0; i < letters.length; i++) {
+          for (j = 0; j < letters.length; j++) {
+            strings.push(letters.charAt(i) + letters.charAt(j));
+          }
+        }
+        return strings;
+      }
+
+      /*
+       * self check of an ASCII table against the collator: sorts the check strings by the table and asks the collator about each
+       * pair of neighbours, since both orders are transitive this verifies the order of all of them
+       */
+      function checkAsciiTable(table, coll) {
+        // digit runs are keyed by the weight of "0", no other character may sort between the digits then
+        for (var c = 0; table.numeric && c < 128; c++) {
+          if (! isDigit(c) && table.primary[c] >= table.primary[48] && table.primary[c] <= table.primary[57]) {
+            return false;
+          }
+        }
+        var strings = asciiCheckStrings().sort(function (x, y) {
+          return compareAscii(table, x, y);
+        });
+        for (var i = 1; i < strings.length; i++) {
+          var expected = compareAscii(table, strings[i-1], strings[i]);
+          var actual = coll.compare(strings[i-1], strings[i]);
+          if (expected === 0 ? actual !== 0 : ! (actual < 0)) {
+            return false;
+          }
+        }
+        return true;
+      }
+
+      var asciiTables = {};
+
+      /*
+       * the checked ASCII table of a locale and collator options, built once.
+       * null, i.e. no fast path, when the collator's order can not be expressed by weights of single characters,
+       * e.g. for contractions like "ch" in Czech or "aa" in Danish
+       */
+      function getAsciiTable(locale, options, coll) {
+        var key = JSON.stringify([locale, options]);
+        if (! asciiTables.hasOwnProperty(key)) {
+          var resolved = coll.resolvedOptions ? coll.resolvedOptions() : {};
+          var table = createAsciiTable(coll, createCollator(locale, withSensitivity(options, "base")),
+              resolved.numeric === true || (options != undefined && options.numeric === true));
+          asciiTables[key] = checkAsciiTable(table, coll) ? table : null;
+        }
+        return asciiTables[key];
+      }
+
+      /*
+       * normalization of a value before ranking, options: { form: "NFC" | "NFD" | "NFKC" | "NFKD", trim, collapseWhitespace, removeZeroWidth },
+       * so e.g. "Ä" pasted from macOS (NFD) ranks like "Ä" (NFC) and "  Baum" like "Baum".
+       */
+      function normalizeValue(value, options) {
+        if (options.removeZeroWidth) {
+          value = value.replace(/[\u200B-\u200D\u2060\uFEFF]/g, "");
+        }
+        if (options.collapseWhitespace) {
+          value = value.replace(/\s+/g, " ");
+        }
+        if (options.trim) {
+          value = value.trim();
+        }
+        if (options.form && value.normalize) { // not available in some older browsers
+          value = value.normalize(options.form);
+        }
+        return value;
+      }
+
+      function withSensitivity(options, sensitivity) {
+        var copy = {};
+        for (var name in options) {
+          if (options.hasOwnProperty(name)) {
+            copy[name] = options[name];
+          }
+        }
+        copy.sensitivity = sensitivity;
+        return copy;
+      }
+
+      /*
+       * throws an Error when keys sharing a rank by a named equivalence level would not sort next to each other, e.g. "case"
+       * with the default sensitivity "variant": "a" and "á" share a rank there, but "A" sorts between them. A level fits when it is
+       * "base" or the leading levels of the collator's sensitivity ("accent" in a "variant" order), "collator" and "strict" always fit.
+       * With a custom compare (and for an equivalent(a, b) function) the order can not be checked, that is up to the caller
+       */
+      function checkEquivalence(locale, options, equivalence, customCompare) {
+        if (customCompare || (equivalence !== "accent" && equivalence !== "case" && equivalence !== "variant")) {
+          return;
+        }
+        var resolved = createCollator(locale, options).resolvedOptions();
+        var sensitivity = resolved.sensitivity || (options && options.sensitivity) || "variant";
+        if (equivalence !== sensitivity && ! (equivalence === "accent" && sensitivity === "variant")) {
+          throw new Error("equivalence \"" + equivalence + "\" does not fit the collator sensitivity \"" + sensitivity +
+            "\", values sharing a rank would not sort next to each other");
+        }
+      }
+
+      /*
+       * compares sort keys, uses the collator only when really needed: ASCII strings (isAscii() flags them once per key)
+       * are compared by the ASCII table of the collator, if it passed its self check, see getAsciiTable().
+       * equivalence decides which keys share a rank: "collator" (default) when the collator considers them equal,
+       * "strict" only identical strings, a collator sensitivity ("base", "accent", "case", "variant") for coarser or finer ties,
+       * or a function(a, b) of two sort keys. A custom compare(a, b) of sort keys replaces the collator (and the ASCII fast path), e.g. for product codes.
+       */
+      function createComparator(locale, options, equivalence, customCompare) {
+        checkEquivalence(locale, options, equivalence, customCompare);
+        var coll = createCollator(locale, options);
+        var asciiTable = customCompare ? null : getAsciiTable(locale, options, coll);
+
+        function order(a, aAscii, b, bAscii) {
+          if (customCompare) {
+            return customCompare(a, b);
+          } else if (aAscii && bAscii) {
+            return compareAscii(asciiTable, a, b);
+          } else {
+            return coll.compare(a, b);
+          }
+        }
+
+        var equivalent;
+        if (typeof equivalence === "function") {
+          equivalent = function (a, aAscii, b) { return a === b || equivalence(a, b); };
+        } else if (equivalence === "strict") {
+          equivalent = function (a, aAscii, b) { return a === b; };
+        } else if (equivalence === "base" || equivalence === "accent" || equivalence === "case" || equivalence === "variant") {
+          var equivalenceColl = createCollator(locale, withSensitivity(options, equivalence));
+          equivalent = function (a, aAscii, b) { return a === b || equivalenceColl.compare(a, b) === 0; };
+        } else {
+          equivalent = function (a, aAscii, b, bAscii) { return order(a, aAscii, b, bAscii) === 0; };
+        }
+
+        return {
+          collator: coll,
+          asciiFastPath: asciiTable !== null,
+          isAscii: function (key) {
+            return asciiTable !== null && onlyAsciiChars(key);
+          },
+          // the sort key of an ASCII key (isAscii()), compared as plain strings it orders like compare()
+          asciiKey: function (key) {
+            return asciiSortKey(asciiTable, key);
+          },
+          // a total order: keys the collator considers equal are ordered by their code units, so identical keys always end up next to each other
+          compare: function (a, aAscii, b, bAscii) {
+            var result = order(a, aAscii, b, bAscii);
+            return result !== 0 || a === b ? result : a < b ? -1 : 1;
+          },
+          // compare() without the tie-break
+          order: order,
+          equivalent: equivalent,
+          // keys are equivalent exactly when order() considers them equal
+          equivalentByOrder: typeof equivalence !== "function" && equivalence !== "strict" && equivalence !== "base" && equivalence !== "accent"
+            && equivalence !== "case" && equivalence !== "variant"
+        };
+      }
+
+      /*
+       * an array for the ranks of n rows: the smallest typed array holding them (plus one spare value, see pendingRank()),
+       * a plain Array where typed arrays are not available
+       */
+      function createRanks(n) {
+        if (typeof Uint32Array === "undefined") {
+          return new Array(n);
+        }
+        return n < 0xFFFF ? new Uint16Array(n) : new Uint32Array(n);
+      }
+
+      // the value marking rows without a rank yet in ranks of createRanks(), it is never a real rank
+      function pendingRank(ranks) {
+        return ranks.BYTES_PER_ELEMENT === 2 ? 0xFFFF : ranks.BYTES_PER_ELEMENT === 4 ? 0xFFFFFFFF : -1;
+      }
+
+      /*
+       * groups rows by their sort key: the distinct keys in order of their first row, the number of rows of each
+       * and the index of each row's key, so only distinct keys need to be sorted with the collator
+       */
+      function createGroups(n) {
+        return {
+          index: typeof Map === "undefined" ? Object.create(null) : new Map(),
+          keys: [],
+          counts: [],
+          ofRow: typeof Uint32Array === "undefined" ? new Array(n) : new Uint32Array(n)
+        };
+      }
+
+      // rows grouped before deciding whether grouping pays off at all
+      var groupSample = 1024;
+
+      /*
+       * groups the rows from..to-1, in chunks starting at row 0. When most keys of the first groupSample rows are distinct
+       * (names, ids, ...) the hash would cost more than it saves: every row becomes a group of its own (groups.index null),
+       * identical keys end up next to each other after sorting and share a rank there, see rankResult()
+       */
+      function groupKeys(groups, keys, from, to) {
+        var i, k;
+        if (from < groupSample && to > groupSample) {
+          groupKeys(groups, keys, from, groupSample);
+          from = groupSample;
+        }
+        if (groups.index === null) {
+          for (i = from; i < to; i++) {
+            groups.ofRow[i] = groups.keys.length;
+            groups.keys.push(keys[i]);
+            groups.counts.push(1);
+          }
+          return;
+        }
+        var index = groups.index, isMap = typeof Map !== "undefined";
+        for (i = from; i < to; i++) {
+          k = isMap ? index.get(keys[i]) : index["$" + keys[i]];
+          if (k === undefined) {
+            k = groups.keys.length;
+            if (isMap) {
+              index.set(keys[i], k);
+            } else {
+              index["$" + keys[i]] = k;
+            }
+            groups.keys.push(keys[i]);
+            groups.counts.push(0);
+          }
+          groups.counts[k]++;
+          groups.ofRow[i] = k;
+        }
+        if (to === groupSample && groups.keys.length > 3 * groupSample / 4) {
+          groups.index = null;
+          for (i = 0; i < to; i++) {
+            groups.keys[i] = keys[i];
+            groups.counts[i] = 1;
+            groups.ofRow[i] = i;
+          }
+        }
+      }
+
+      /*
+       * the distinct keys to sort: their indexes in groups.keys, whether each key is ASCII only and the sort keys of the ASCII ones,
+       * built once here so comparing two ASCII keys is a plain string comparison. No objects per key
+       */
+      function sortInput(groups, cmp) {
+        var d = groups.keys.length;
+        var input = {
+          order: new Array(d),
+          ascii: typeof Uint8Array === "undefined" ? new Array(d) : new Uint8Array(d),
+          asciiKeys: new Array(d)
+        };
+        for (var k = 0; k < d; k++) {
+          input.order[k] = k;
+          if (cmp.isAscii(groups.keys[k])) {
+            input.ascii[k] = 1;
+            input.asciiKeys[k] = cmp.asciiKey(groups.keys[k]);
+          } else {
+            input.ascii[k] = 0;
+          }
+        }
+        return input;
+      }
+
+      // cmp.order() of two distinct keys, for two ASCII keys by their sort keys
+      function orderDistinct(cmp, groups, input, k, l) {
+        var a = input.asciiKeys[k], b = input.asciiKeys[l];
+        if (a === undefined || b === undefined) {
+          return cmp.order(groups.keys[k], input.ascii[k] === 1, groups.keys[l], input.ascii[l] === 1);
+        }
+        return a < b ? -1 : a > b ? 1 : 0;
+      }
+
+      // cmp.compare() of two distinct keys: orderDistinct() with the same tie-break
+      function compareDistinct(cmp, groups, input, k, l) {
+        var result = orderDistinct(cmp, groups, input, k, l);
+        var a = groups.keys[k], b = groups.keys[l];
+        return result !== 0 || a === b ? result : a < b ? -1 : 1;
+      }
+
+      // cmp.equivalent() of two distinct keys, ASCII keys ranked by their order are equivalent when their sort keys are equal
+      function equivalentDistinct(cmp, groups, input, k, l) {
+        if (cmp.equivalentByOrder && input.asciiKeys[k] !== undefined && input.asciiKeys[l] !== undefined) {
+          return input.asciiKeys[k] === input.asciiKeys[l];
+        }
+        return cmp.equivalent(groups.keys[k], input.ascii[k] === 1, groups.keys[l], input.ascii[l] === 1);
+      }
+
+      /*
+       * sets the ranks of the sorted distinct keys from..to-1, starting at the given position: the number of rows sorted before them,
+       * equivalent keys share the rank of the first of them. Returns the position behind them.
+       * ties (optional, see sortDistinct()) answers equivalence by order for neighbours without asking the comparator again
+       */
+      function rankDistinct(cmp, groups, input, sorted, ranks, from, to, position, ties) {
+        var k, prev, equivalent;
+        for (var i = from; i < to; i++) {
+          k = sorted[i];
+          prev = sorted[i-1];
+          if (i === 0) {
+            equivalent = false;
+          } else if (ties && cmp.equivalentByOrder) {
+            equivalent = ties[ prev < k ? prev * sorted.length + k : k * sorted.length + prev ] === true;
+          } else {
+            equivalent = equivalentDistinct(cmp, groups, input, prev, k);
+          }
+          // if elems equivalent, keep sort index equal to make multi column sort possible later
+          ranks[k] = equivalent ? ranks[prev] : position;
+          position += groups.counts[k];
+        }
+        return position;
+      }
+
+      /*
+       * sorts the distinct keys in place with compareDistinct() and returns the pairs order() found equal, for rankDistinct().
+       * Any comparison sort compares each pair of keys ending up next to each other, so these are all the ties of neighbours
+       */
+      function sortDistinct(cmp, groups, input, order) {
+        var ties = {};
+        var d = order.length;
+        order.sort(function (k, l) {
+          var result = orderDistinct(cmp, groups, input, k, l);
+          if (result !== 0) {
+            return result;
+          }
+          ties[ k < l ? k * d + l : l * d + k ] = true;
+          // the tie-break of cmp.compare(), identical keys (rows not grouped) stay in row order
+          return groups.keys[k] < groups.keys[l] ? -1 : groups.keys[k] > groups.keys[l] ? 1 : k - l;
+        });
+        return ties;
+      }
+
+      /*
+       * fans the ranks of the distinct keys out to their rows, result of rank(): the rank of each row, the sorted distinct keys
+       * ({keys, ranks, counts}, parallel arrays) and an estimate of the peak bytes allocated by ranking (cell strings not included)
+       */
+      function rankResult(groups, sorted, distinctRanks) {
+        var n = groups.ofRow.length, d = sorted.length;
+        var i, k, m = d;
+        // rows not grouped: identical keys are neighbours now, the distinct keys list them once
+        if (groups.index === null) {
+          for (i = 1; i < d; i++) {
+            if (groups.keys[ sorted[i] ] === groups.keys[ sorted[i-1] ]) {
+              m--;
+            }
+          }
+        }
+        var ranks = createRanks(n);
+        var distinct = { keys: new Array(m), ranks: ranks.subarray ? new ranks.constructor(m) : new Array(m), counts: new Array(m) };
+        for (i = 0; i < n; i++) {
+          ranks[i] = distinctRanks[ groups.ofRow[i] ];
+        }
+        for (i = 0, m = -1; i < d; i++) {
+          k = sorted[i];
+          if (groups.index === null && m >= 0 && groups.keys[k] === distinct.keys[m]) {
+            distinct.counts[m] += groups.counts[k];
+            continue;
+          }
+          m++;
+          distinct.keys[m] = groups.keys[k];
+          distinct.ranks[m] = distinctRanks[k];
+          distinct.counts[m] = groups.counts[k];
+        }
+        return {
+          ranks: ranks,
+          distinct: distinct,
+          peakBytes: estimateBytes(n, d, ranks)
+        };
+      }
+
+      /*
+       * bytes of the arrays alive at the end of ranking n rows with d distinct keys, plain arrays count 8 bytes per element,
+       * hash entries 40 bytes: the groups (key index of each row, hash, keys and counts of the distinct keys),
+       * the sort (order, keys in order and outliers of the presort scan of createSortTask(), merge sort buffer, ASCII flags, ranks of the distinct keys) and the result (ranks of rows, distinct keys, ranks and counts)
+       */
+      function estimateBytes(n, d, ranks) {
+        var rankBytes = ranks.BYTES_PER_ELEMENT || 8;
+        var groups = 4 * n + 40 * d + 8 * d + 8 * d;
+        var sort = 8 * d + 8 * d + 8 * d + d + 8 * d;
+        var result = rankBytes * n + 8 * d + rankBytes * d + 8 * d;
+        return groups + sort + result;
+      }
+
+      /*
+       * linear pass over the distinct keys in order of their first row, for data arriving (nearly) sorted, used by createSortTask()
+       * whose merge sort does not take advantage of sorted runs by itself: each key breaking
+       * the ascending order is taken out together with the key before it, as long as these outliers are at most an eighth of all keys.
+       * Data starting in descending order is checked for being sorted descending instead. step(timeLeft) works like the one of createSortTask(),
+       * result is { main, outliers } with main sorted, or null when the keys need a full sort
+       */
+      function createPresortScan(cmp, groups, input, order) {
+        var d = order.length;
+        var limit = Math.max(16, d >> 3);
+        var main = [], outliers = [];
+        var descending = false, descendingTried = false;
+        var i = 0, done = false;
+
+        return {
+          result: null,
+          step: function (timeLeft) {
+            var ops = 0;
+            while (! done && i < d) {
+              if (descending) {
+                if (compareDistinct(cmp, groups, input, order[i-1], order[i]) < 0) {
+                  // not sorted descending after all, start over looking for ascending order
+                  descending = false;
+                  main = [];
+                  i = 0;
+                  continue;
+                }
+              } else if (main.length && compareDistinct(cmp, groups, input, main[main.length - 1], order[i]) > 0) {
+                if (i === 1 && ! descendingTried) {
+                  descending = descendingTried = true;
+                } else {
+                  outliers.push(main.pop(), order[i]);
+                  if (outliers.length > limit) {
+                    done = true;
+                  }
+                }
+              } else {
+                main.push(order[i]);
+              }
+              i++;
+              if ((++ops & 255) === 0 && timeLeft() <= 0) {
+                return false;
+              }
+            }
+            if (! done) {
+              done = true;
+              this.result = descending ? { main: order.slice().reverse(), outliers: [] } : { main: main, outliers: outliers };
+            }
+            return true;
+          }
+        };
+      }
+
+      /*
+       * returns the rank of each row and the sorted distinct keys, see rankResult().
+       * Rows with the same key are ranked together, so low cardinality columns need only a few collator calls.
+       * Keys arriving (nearly) sorted need no scan of their own here: Array.prototype.sort (TimSort) takes advantage of sorted runs
+       */
+      function rank(keys, cmp) {
+        var groups = createGroups(keys.length);
+        groupKeys(groups, keys, 0, keys.length);
+        var input = sortInput(groups, cmp);
+
+        // EXPENSIVE sort, we want to use the locale compare only once per column, and not
+        // in per DataTable.sort() (which internally uses Array.sort(): O(n*log(n)) for merge/quick sort)
+        var sorted = input.order;
+        var ties = sortDistinct(cmp, groups, input, sorted);
+
+        var distinctRanks = new Array(sorted.length);
+        rankDistinct(cmp, groups, input, sorted, distinctRanks, 0, sorted.length, 0, ties);
+        return rankResult(groups, sorted, distinctRanks);
+      }
+
+      /*
+       * ranks only the rows sorted first (the ones sorted last when descending) until there are at least count of them,
+       * e.g. the first page of a table, by partial selection: a heap of the selected distinct keys, so mostly one collator call per key
+       * instead of O(d log d) for a full sort. These rows get their real ranks, all other rows share the rank of the rows sorted right
+       * behind them (in front of them when descending). Not cached, just the rank of each row
+       */
+      function rankFirst(keys, cmp, count, descending) {
+        var groups = createGroups(keys.length);
+        groupKeys(groups, keys, 0, keys.length);
+        var input = sortInput(groups, cmp);
+        var d = groups.keys.length;
+        var sign = descending ? -1 : 1;
+        function after(k, l) {
+          return sign * compareDistinct(cmp, groups, input, k, l) > 0;
+        }
+
+        // heap of the selected keys, the one sorted last on top, dropped as soon as the others still make count rows
+        var heap = [], rows = 0;
+        var k, i, child, tmp;
+        for (k = 0; k < d; k++) {
+          if (rows >= count && ! after(heap[0], k)) {
+            continue;
+          }
+          for (i = heap.length, heap.push(k); i > 0 && after(k, heap[(i - 1) >> 1]); i = (i - 1) >> 1) {
+            heap[i] = heap[(i - 1) >> 1];
+            heap[(i - 1) >> 1] = k;
+          }
+          rows += groups.counts[k];
+          while (rows - groups.counts[heap[0]] >= count) {
+            rows -= groups.counts[heap[0]];
+            heap[0] = heap[heap.length - 1];
+            heap.pop();
+            for (i = 0; (child = 2 * i + 1) < heap.length; i = child) {
+              if (child + 1 < heap.length && after(heap[child + 1], heap[child])) {
+                child++;
+              }
+              if (! after(heap[child], heap[i])) {
+                break;
+              }
+              tmp = heap[i]; heap[i] = heap[child]; heap[child] = tmp;
+            }
+          }
+        }
+
+        // keys sorted right behind the last selected one share its rank when equivalent to it, so they belong to the selection as well,
+        // one after the other like rankDistinct() compares neighbours
+        var selected = typeof Uint8Array === "undefined" ? new Array(d) : new Uint8Array(d);
+        var last = heap[0], next;
+        for (i = 0; i < heap.length; i++) {
+          selected[ heap[i] ] = 1;
+        }
+        while (heap.length) {
+          next = -1;
+          for (k = 0; k < d; k++) {
+            if (selected[k] !== 1 && (next < 0 || after(next, k))) {
+              next = k;
+            }
+          }
+          if (next < 0 || ! (descending ? equivalentDistinct(cmp, groups, input, next, last) : equivalentDistinct(cmp, groups, input, last, next))) {
+            break;
+          }
+          selected[next] = 1;
+          heap.push(next);
+          rows += groups.counts[next];
+          last = next;
+        }
+
+        heap.sort(function (k, l) {
+          return compareDistinct(cmp, groups, input, k, l);
+        });
+        var distinctRanks = new Array(d);
+        rankDistinct(cmp, groups, input, heap, distinctRanks, 0, heap.length, descending ? keys.length - rows : 0);
+        var rest = descending ? 0 : rows;
+        var ranks = createRanks(keys.length);
+        for (i = 0; i < keys.length; i++) {
+          k = distinctRanks[ groups.ofRow[i] ];
+          ranks[i] = k === undefined ? rest : k;
+        }
+        return ranks;
+      }
+
+      /*
+       * same result as rank(), but as a (stable) bottom up merge sort which can be interrupted and resumed:
+       * step(timeLeft) works until timeLeft() returns <= 0 and returns true once task.result is available.
+       */
+      function createSortTask(keys, cmp) {
+        var groups = createGroups(keys.length);
+        var grouped = 0;
+        var input, scan, main;
+        var n, src, dst;
+        var width = 1, lo = 0;
+        var i = -1, iEnd, j, jEnd, k; // state of the current merge of [lo, lo+width) and [lo+width, lo+2*width)
+        var tmp;
+        var sorted, merged = 0, mi = 0, si = 0; // state of merging the keys in order with the sorted outliers
+        var ranks, ranked = 0, position = 0;
+
+        return {
+          result: null,
+          step: function (timeLeft) {
+            var ops = 0;
+            while (grouped < keys.length) {
+              groupKeys(groups, keys, grouped, Math.min(grouped + 1024, keys.length));
+              grouped = Math.min(grouped + 1024, keys.length);
+              if (grouped < keys.length && timeLeft() <= 0) {
+                return false;
+              }
+            }
+            if (! input) {
+              input = sortInput(groups, cmp);
+              scan = createPresortScan(cmp, groups, input, input.order);
+            }
+            if (! scan.step(timeLeft)) {
+              return false;
+            }
+            if (! src) {
+              // only the outliers need sorting when the keys arrived (nearly) sorted
+              main = scan.result ? scan.result.main : [];
+              src = scan.result ? scan.result.outliers : input.order;
+              n = src.length;
+              dst = new Array(n);
+            }
+            while (width < n) {
+              while (lo < n) {
+                if (i < 0) {
+                  i = k = lo;
+                  iEnd = j = Math.min(lo + width, n);
+                  jEnd = Math.min(lo + 2 * width, n);
+                }
+                while (i < iEnd && j < jEnd) {
+                  dst[k++] = compareDistinct(cmp, groups, input, src[j], src[i]) < 0 ? src[j++] : src[i++];
+                  // asking for the time on every compare would cost more than the compare itself
+                  if ((++ops & 255) === 0 && timeLeft() <= 0) {
+                    return false;
+                  }
+                }
+                while (i < iEnd) { dst[k++] = src[i++]; }
+                while (j < jEnd) { dst[k++] = src[j++]; }
+                lo += 2 * width;
+                i = -1;
+              }
+              tmp = src; src = dst; dst = tmp;
+              width *= 2;
+              lo = 0;
+            }
+            if (! sorted) {
+              sorted = new Array(main.length + n);
+              ranks = new Array(sorted.length);
+            }
+            while (merged < sorted.length) {
+              sorted[merged++] = si >= n || (mi < main.length && compareDistinct(cmp, groups, input, main[mi], src[si]) < 0) ? main[mi++] : src[si++];
+              if ((++ops & 255) === 0 && timeLeft() <= 0) {
+                return false;
+              }
+            }
+            while (ranked < sorted.length) {
+              position = rankDistinct(cmp, groups, input, sorted, ranks, ranked, Math.min(ranked + 256, sorted.length), position);
+              ranked = Math.min(ranked + 256, sorted.length);
+              if (ranked < sorted.length && timeLeft() <= 0) {
+                return false;
+              }
+            }
+            this.result = rankResult(groups, sorted, ranks);
+            return true;
+          }
+        };
+      }
+
+      /*
+       * the result of rank() from an order computed elsewhere, e.g. by the database's collation on the server: values holds a number
+       * (or numeric string) for each row, any numbers ordering the rows (dense ranks, row numbers, ...). Rows with the same key take the
+       * smallest value of that key, rows with equal values share a rank, the collator only orders different keys sharing a value in the
+       * distinct keys. Null when the values do not fit the keys: missing or not a number
+       */
+      function rankByValues(keys, values, cmp) {
+        if (! values || values.length !== keys.length) {
+          return null;
+        }
+        var groups = createGroups(keys.length);
+        groupKeys(groups, keys, 0, keys.length);
+        var d = groups.keys.length;
+        var valueOf = new Array(d);
+        var i, k, v;
+        for (i = 0; i < keys.length; i++) {
+          v = values[i];
+          v = typeof v === "string" && v !== "" ? Number(v) : v;
+          k = groups.ofRow[i];
+          if (typeof v !== "number" || ! isFinite(v)) {
+            return null;
+          }
+          if (valueOf[k] === undefined || v < valueOf[k]) {
+            valueOf[k] = v;
+          }
+        }
+
+        var input = sortInput(groups, cmp);
+        var sorted = input.order.sort(function (k, l) {
+          return valueOf[k] - valueOf[l] || compareDistinct(cmp, groups, input, k, l);
+        });
+        var distinctRanks = new Array(d);
+        var position = 0;
+        for (i = 0; i < d; i++) {
+          k = sorted[i];
+          distinctRanks[k] = i > 0 && valueOf[ sorted[i-1] ] === valueOf[k] ? distinctRanks[ sorted[i-1] ] : position;
+          position += groups.counts[k];
+        }
+        return rankResult(groups, sorted, distinctRanks);
+      }
+
+      /*
+       * fingerprint of sort keys, e.g. to tell whether stored ranks belong to a column's data: the number of keys
+       * and two 32 bit FNV-1a hashes (with different offset bases) over all keys, as a hex string
+       */
+      function fingerprint(keys) {
+        var a = 0x811c9dc5, b = 0x2f6b4ad1;
+        function mix(h, c) {
+          h = (h ^ c) >>> 0;
+          // h * 16777619 (the FNV prime) modulo 2^32, without Math.imul
+          return (h + (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24)) >>> 0;
+        }
+        for (var i = 0; i < keys.length; i++) {
+          var key = String(keys[i]);
+          for (var j = 0; j < key.length; j++) {
+            a = mix(a, key.charCodeAt(j));
+            b = mix(b, key.charCodeAt(j));
+          }
+          // separates the keys, "ab" + "c" differs from "a" + "bc"
+          a = mix(a, 0xFFFF);
+          b = mix(b, 0xFFFF);
+        }
+        return keys.length.toString(16) + "-" + ("0000000" + a.toString(16)).slice(-8) + ("0000000" + b.toString(16)).slice(-8);
+      }
+
+      return {
+        onlyAsciiChars: onlyAsciiChars,
+        createCollator: createCollator,
+        checkEquivalence: checkEquivalence,
+        createComparator: createComparator,
+        negotiateLocale: negotiateLocale,
+        normalizeValue: normalizeValue,
+        rank: rank,
+        rankFirst: rankFirst,
+        rankByValues: rankByValues,
+        createSortTask: createSortTask,
+        createRanks: createRanks,
+        pendingRank: pendingRank,
+        fingerprint: fingerprint
+      };
+    }
+
+    var core = rankingCore();
+
+    /*
+     * the normalize option: true for all of NFC, trimming, collapsing whitespace and removing zero width characters,
+     * a normalization form ("NFC", "NFD", "NFKC", "NFKD") only, or an object picking the steps, see normalizeValue()
+     */
+    function toNormalizeOptions(normalize) {
+      if (normalize === true) {
+        return { form: "NFC", trim: true, collapseWhitespace: true, removeZeroWidth: true };
+      }
+      if (typeof normalize === "string") {
+        return { form: normalize };
+      }
+      return normalize && typeof normalize === "object" ? copyOptions(normalize) : null;
+    }
+
+    function copyOptions(options) {
+      var copy = {};
+      for (var key in options) {
+        if (Object.prototype.hasOwnProperty.call(options, key)) {
+          copy[key] = options[key];
+        }
+      }
+      return copy;
+    }
+
+    /*
+     * the string actually ranked for a cell value: preprocess(value, row, col), then normalize and caseInsensitive
+     * of the resolved column options (normalize as of toNormalizeOptions())
+     */
+    function sortKey(value, row, col, options) {
+      if (options.preprocess) {
+        value = options.preprocess(value, row, col);
+      }
+      value = value == null ? "" : String(value);
+      if (options.normalize) {
+        value = core.normalizeValue(value, options.normalize);
+      }
+      return options.caseInsensitive ? value.toLowerCase() : value;
+    }
+
+    // ranks the cell values of a column with the plugin's stringLocaleMapped options, see the description at the top
+    function rankColumn(values, options) {
+      options = options || {};
+      var tags = (Array.isArray(options.locale) ? options.locale : [options.locale]).filter(function (tag) {
+        return typeof tag === "string" && tag !== "";
+      });
+      var collatorOptions = copyOptions(options.collatorOptions || {});
+      if (typeof options.numeric === "boolean") {
+        collatorOptions.numeric = options.numeric;
+      }
+      var equivalence = typeof options.equivalent === "function" ? options.equivalent : typeof options.equivalence === "string" ? options.equivalence : "collator";
+      var keyOptions = {
+        preprocess: typeof options.preprocess === "function" ? options.preprocess : null,
+        normalize: toNormalizeOptions(options.normalize),
+        caseInsensitive: options.caseInsensitive === true
+      };
+      var keys = Array.prototype.map.call(values, function (value, row) {
+        return sortKey(value, row, options.column, keyOptions);
+      });
+      var locale = tags.length ? core.negotiateLocale(tags) : undefined;
+      var cmp = core.createComparator(locale, collatorOptions, equivalence, typeof options.compare === "function" ? options.compare : null);
+      var result = core.rank(keys, cmp);
+      return {
+        locale: locale,
+        collatorOptions: collatorOptions,
+        equivalence: typeof equivalence === "string" ? equivalence : undefined,
+        rows: keys.length,
+        fingerprint: core.fingerprint(keys),
+        ranks: result.ranks,
+        distinct: result.distinct
+      };
+    }
+
+    // version of the exportStringLocaleCache() format, imports of other versions are rejected
+    var cacheFormatVersion = 1;
+
+    // a column of the exportStringLocaleCache() format from a result of rankColumn()
+    function exportColumn(colIdx, column) {
+      return {
+        column: colIdx,
+        locale: column.locale,
+        collatorOptions: copyOptions(column.collatorOptions),
+        equivalence: column.equivalence,
+        rows: column.rows,
+        fingerprint: column.fingerprint,
+        ranks: Array.prototype.slice.call(column.ranks)
+      };
+    }
+
+    var api = copyOptions(core);
+    api.rankingCore = rankingCore;
+    api.toNormalizeOptions = toNormalizeOptions;
+    api.sortKey = sortKey;
+    api.rankColumn = rankColumn;
+    api.cacheFormatVersion = cacheFormatVersion;
+    api.exportColumn = exportColumn;
+    return api;
+  }; // /factory
+
+// Define as an AMD module if possible
+  if ( typeof define === 'function' && define.amd ) {
+    define( [], factory );
+  }
+  else if ( typeof exports === 'object' ) {
+    // Node/CommonJS
+    module.exports = factory();
+  }
+  else {
+    // Otherwise as a global, used by DT_localesort.js
+    self.DT_localesortCore = factory();
+  }
+
+})();
@@ -9,18 +9,22 @@
  * in contrast to Arzt, Ast, Baum, Zeder, Ärzte as in English/ASCII string sort
  *
  * Since String.localeCompare has extremely bad performance this uses the following approach:
- * Sort ONCE the assigend columns using String.localeCompare (or String compare when sufficient), then cache a map of each cell to the position in the ordered list.
+ * Sort ONCE the assigend columns using String.localeCompare (or a table of ASCII weights when sufficient), then cache a map of each cell to the position in the ordered list.
  * Later DataTables.api().sort() just uses the position index and can then take advantage of much faster integer comparison.
  * For large data sets this can be more than 100 times faster than the naive localeCompare approach.
  * This should even speed up sorting when there is only ASCII data.
+ * Only distinct values are sorted, and data arriving (nearly) sorted is detected in a linear pass before sorting.
  *
- * Please note that the cache must be invalidated and rebuild whenever the underlying
- * data changes (e.g. Rows added/removed). The plugin does not check this, user has to invalidate here.
- * Thus this will only be fast for relatively static data.
+ * The cache of a column is rebuilt automatically on the next sort whenever its underlying data changed
+ * (rows added/removed/invalidated, table cleared, ajax reloads). Detection relies on DataTables' own row
+ * invalidation, so data changed behind DataTables' back (without row().invalidate()) still needs a manual
+ * invalidateStringLocaleMappedCache().
+ * Rebuilding a column is as expensive as the first sort, thus this will be fastest for relatively static data.
  *
  *
  * usage:
- * drop in DT_localesort.js, include script in your html.
+ * drop in DT_localesort.core.js and DT_localesort.js, include both scripts in your html (the core first).
+ * The ranking itself lives in DT_localesort.core.js, which runs in Node as well (see there).
  * In initialisation options set `"type": "string-locale-mapped-int"` and `"orderDataType":"string-locale-mapped-int"`
  * for each column that shall benefit from  sorted with this plugin.
  *
@@ -36,40 +40,255 @@
  *								 "type": "string-locale-mapped-int",
  *								 "orderDataType":"string-locale-mapped-int",
  *								 "targets": [ 0, 1 ]
+ *				 }, {
+ *								 "stringLocaleMapped": { "locale": "sv" }, // optional, per column overrides of the table's options below
+ *								 "targets": [ 1 ]
+ *				 }, {
+ *								 "stringLocaleMapped": { "ranksSrc": "name_rank" }, // optional, row data property with ranks precomputed by the server
+ *								 "targets": [ 0 ]
  *				 } ],
- *				 "stringLocaleMapped": { "caseInsensitive": false }, // optional, default is to order case insensitive, set to false if sort shall respect case
+ *				 "stringLocaleMapped": {
+ *				   "locale": "de-u-co-phonebk", // optional, a BCP 47 tag or an array of tags, default are the browser's languages and <html lang>
+ *				   "caseInsensitive": false, // optional, default is to order case insensitive, set to false if sort shall respect case
+ *				   "numeric": true,          // optional, natural order of digit runs ("Raum 2" before "Raum 10"), shorthand for collatorOptions.numeric
+ *				   "collatorOptions": { "sensitivity": "base" }, // optional, passed to Intl.Collator as is (sensitivity, numeric, caseFirst, ignorePunctuation, usage, collation)
+ *				   "preprocess": function (value, rowIdx, colIdx) { return value.replace(/^The /, ""); }, // optional, returns the string actually ranked
+ *				   "compare": function (a, b) { return ...; }, // optional, custom order of two sort keys replacing the collator, the worker is not used then
+ *				   "normalize": true,        // optional, NFC, trim, collapse whitespace and remove zero width characters before ranking (or e.g. "NFD", { "form": "NFKC", "trim": true })
+ *				   "equivalence": "collator", // optional, which values share a rank for multi column sorts: "collator" (default), "strict", "base", "accent", "case", "variant" (a level fitting the collator's sensitivity)
+ *				   "equivalent": function (a, b) { return ...; }, // optional, instead of "equivalence": true for sort keys sharing a rank
+ *				   "incremental": true,      // optional, update ranks of a few changed rows instead of rebuilding the whole column
+ *				   "firstPage": true,        // optional, with paging rank only the rows up to the current page first, the whole column is ranked in the background
+ *				   "persist": true,          // optional, store ranks in IndexedDB (or a database name) and load them on later page loads instead of ranking again
+ *				   "ajaxRanks": "stringLocaleRanks", // optional, ajax response property with ranks precomputed by the server: { "0": [...], "name": [...] }
+ *				   "importCache": payload,   // optional, rank caches of exportStringLocaleCache() (object or JSON string), imported on the first sort
+ *				   "worker": true            // optional, build ranks in a Web Worker, rows keep "pendingOrder" ("index" or "keep") until they arrive
+ *				 }
  * });
  *
- * // after adding/ modifing rows which must be reflected in a different sort order:
- * $('#example').api().invalidateStringLocaleSortCache() // will recalc caches on next sort
+ * // caches of changed columns are rebuilt on the next sort, after changing data without DataTables knowing:
+ * $('#example').api().invalidateStringLocaleMappedCache() // will recalc caches on next sort
  * // or
- * $('#example').api().recalcStringLocaleSortCache() // will recalc caches immediately
+ * $('#example').api().recalcStringLocaleMappedCache() // will recalc caches immediately
+ * // or
+ * $('#example').api().recalcStringLocaleMappedCacheAsync().then(function (timings) { ... }) // will recalc caches in chunks when the browser is idle
+ *
+ * // switch the locale at runtime (of the table or single columns), fires "stringLocale.dt" and redraws:
+ * $('#example').api().setStringLocale('fr', { "collatorOptions": { "sensitivity": "base" } });
+ * $('#example').api().column(1).setStringLocale('sv');
+ *
+ * // further rank cached types, columns use the name as "type" and "orderDataType":
+ * $.fn.dataTable.localeMapped.registerType('version-mapped-int', { "compare": function (a, b) { ... }, "preprocess": ..., "equivalent": ... });
+ *
+ * // which locale is actually used, e.g. { requested: ["sv-FI"], locale: "sv-FI", resolved: "sv", honored: false, fallback: false, asciiFastPath: true }
+ * // without Intl.Collator fallback is "table" (bundled collation for de, fr, es, sv, da, nb, fi, pl, cs) or "localeCompare"
+ * $('#example').api().stringLocale(); // or $('#example').api().column(1).stringLocale()
+ *
+ * // the distinct values of a column in order, with their rank and number of rows, e.g. [{ value: "Berlin", rank: 0, count: 1201 }, ...]
+ * $('#example').api().column(1).stringLocaleDistinct();
+ *
+ * // memory of the rank caches (Uint16Array/Uint32Array by row count), e.g. { bytes: 2000000, peakBytes: 9800000, columns: [...] }
+ * $('#example').api().stringLocaleMemory(); // or $('#example').api().column(1).stringLocaleMemory()
+ *
+ * // rank caches as JSON, e.g. computed once when rendering the page: { version: 1, columns: [{ column, locale, collatorOptions, equivalence, rows, fingerprint, ranks }] }
+ * var payload = JSON.stringify($('#example').api().exportStringLocaleCache());
+ * $('#example').api().importStringLocaleCache(payload).draw(); // throws when locale, options or data do not match
  *
  * ´´´
  */
 (function(){
-  var factory = function( $, DataTable ) {
+  var factory = function( $, DataTable, core ) {
     "use strict";
 
     // invalidate lookup maps for all registered columns, will recalculate caches on next sort (normally executed on next draw())
     $.fn.dataTable.Api.register( 'invalidateStringLocaleMappedCache()', function () {
       return this.iterator( 'table', function ( context ) {
-        context.stringLocaleMapped.cache = [];
+        if (! context.stringLocaleMapped) {
+          init(context);
+        }
+        invalidate(context);
       } );
     } );
 
-    // invalidate lookup maps for all registered columns
+    // invalidate lookup maps for all registered columns and rebuild them immediately
     $.fn.dataTable.Api.register( 'recalcStringLocaleMappedCache()', function () {
       return this.iterator( 'table', function ( context ) {
-        context.stringLocaleMapped.cache = [];
-        context.aoColumns.forEach( function(col, colIdx) {
-          if (col.bSortable && col.sSortDataType == "string-locale-mapped-int") {
-            buildStringLocaleMappedIntColumn(context, colIdx, context.oInstance.api().column(colIdx, {order: 'index'}).data())
-          }
+        if (! context.stringLocaleMapped) {
+          init(context);
+        }
+        invalidate(context);
+        context.stringLocaleMapped.recalcId++; // cancels a running async recalc
+        mappedColumns(context).forEach( function(colIdx) {
+          buildStringLocaleMappedIntColumn(context, colIdx, context.oInstance.api().column(colIdx, {order: 'index'}).data())
         });
       } );
     } );
 
+    /*
+     * rebuild lookup maps for all registered columns without blocking the page: the sort work is split into chunks run when the browser is idle.
+     * Returns a Promise resolved with the timings of each column ({table, column, rows, time, elapsed} in ms), when all caches are rebuilt,
+     * e.g. to draw() afterwards. Current caches keep being used for sorting until then.
+     * Starting a newer (sync or async) recalc rejects the promise of a running one with an "AbortError".
+     */
+    $.fn.dataTable.Api.register( 'recalcStringLocaleMappedCacheAsync()', function () {
+      var promises = this.iterator( 'table', function ( context ) {
+        if (! context.stringLocaleMapped) {
+          init(context);
+        }
+        return recalcAsync(context);
+      } );
+      return Promise.all(promises.toArray()).then(function (timings) {
+        return [].concat.apply([], timings);
+      });
+    } );
+
+    /*
+     * switch the locale (and optionally { caseInsensitive, collatorOptions }) of the table at runtime,
+     * e.g. when the user changes the UI language. Applies to all columns without their own options for these,
+     * drops the caches of columns whose order changes, fires a "stringLocale.dt" event (with settings, locale and changed column indexes) and redraws.
+     */
+    $.fn.dataTable.Api.register( 'setStringLocale()', function (locale, options) {
+      this.iterator( 'table', function ( context ) {
+        if (! context.stringLocaleMapped) {
+          init(context);
+        }
+        var sm = context.stringLocaleMapped;
+        if (locale != undefined) {
+          setRequestedLocale(sm, locale);
+        }
+        if (options && typeof options.caseInsensitive === "boolean") {
+          sm.caseInsensitive = options.caseInsensitive;
+        }
+        if (options && $.isPlainObject(options.collatorOptions)) {
+          sm.collatorOptions = $.extend({}, options.collatorOptions);
+        }
+        localeChanged(context, mappedColumns(context), sm.locale);
+      } );
+      return this.draw(false);
+    } );
+
+    // same as setStringLocale() for single columns, these get their own locale options overriding the table's
+    $.fn.dataTable.Api.registerPlural( 'columns().setStringLocale()', 'column().setStringLocale()', function (locale, options) {
+      this.iterator( 'column', function ( context, colIdx ) {
+        if (! context.stringLocaleMapped) {
+          init(context);
+        }
+        var column = context.aoColumns[colIdx];
+        column.stringLocaleMapped = $.extend({}, column.stringLocaleMapped, options);
+        if (locale != undefined) {
+          column.stringLocaleMapped.locale = locale;
+        }
+        localeChanged(context, [colIdx]);
+      } );
+      return this.draw(false);
+    } );
+
+    // how the table's requested locale could be honored by the browser: { requested, locale, resolved, honored, fallback, asciiFastPath }
+    // (requested tags, negotiated tag, Intl.Collator's resolved locale, whether that is the first requested one, which fallback is used without Intl.Collator,
+    // and whether ASCII strings are compared without the collator)
+    $.fn.dataTable.Api.register( 'stringLocale()', function () {
+      var context = this.context[0];
+      if (! context) {
+        return undefined;
+      }
+      if (! context.stringLocaleMapped) {
+        init(context);
+      }
+      var sm = context.stringLocaleMapped;
+      return describeLocale(sm, core.createComparator(sm.locale, sm.collatorOptions, "collator", sm.compare));
+    } );
+
+    // same as stringLocale() for single columns
+    $.fn.dataTable.Api.registerPlural( 'columns().stringLocale()', 'column().stringLocale()', function () {
+      return this.iterator( 'column', function ( context, colIdx ) {
+        if (! context.stringLocaleMapped) {
+          init(context);
+        }
+        return describeLocale(getColumnOptions(context, colIdx), getComparator(context, colIdx));
+      }, 1 );
+    } );
+
+    /*
+     * the distinct sort keys of columns in order with their rank and number of rows: [{ value, rank, count }, ...],
+     * e.g. for filter dropdowns. Builds the cache of a column first if it is missing or outdated
+     */
+    $.fn.dataTable.Api.registerPlural( 'columns().stringLocaleDistinct()', 'column().stringLocaleDistinct()', function () {
+      return this.iterator( 'column', function ( context, colIdx ) {
+        if (! context.stringLocaleMapped) {
+          init(context);
+        }
+        var distinct = currentSource(context, colIdx).distinct;
+        return distinct.keys.map(function (key, k) {
+          return { value: key, rank: distinct.ranks[k], count: distinct.counts[k] };
+        });
+      }, 1 );
+    } );
+
+    /*
+     * the rank caches of the table's columns as a JSON serializable object, e.g. to compute them once on the server and ship them with the page:
+     * { version, columns: [{ column, locale, collatorOptions, equivalence, rows, fingerprint, ranks }, ...] }, see importStringLocaleCache().
+     * Builds missing or outdated caches first. Columns with a custom compare or equivalent function are left out
+     */
+    $.fn.dataTable.Api.register( 'exportStringLocaleCache()', function () {
+      var context = this.context[0];
+      if (! context) {
+        return undefined;
+      }
+      if (! context.stringLocaleMapped) {
+        init(context);
+      }
+      return exportCache(context);
+    } );
+
+    /*
+     * use rank caches exported by exportStringLocaleCache() (the object or its JSON string) instead of ranking the columns here.
+     * Throws an Error and imports nothing when the payload does not match the table: another format version, column, locale,
+     * collator options or equivalence, or other data (by the fingerprint of the sort keys). Call draw() afterwards to sort by them
+     */
+    $.fn.dataTable.Api.register( 'importStringLocaleCache()', function (json) {
+      return this.iterator( 'table', function ( context ) {
+        if (! context.stringLocaleMapped) {
+          init(context);
+        }
+        importCache(context, json);
+      } );
+    } );
+
+    /*
+     * memory used for the ranks of the table's columns: { bytes, peakBytes, columns: [...] } with bytes of all cached rank arrays,
+     * the largest estimated peak of building one and the figures of each column, see column().stringLocaleMemory()
+     */
+    $.fn.dataTable.Api.register( 'stringLocaleMemory()', function () {
+      var context = this.context[0];
+      if (! context) {
+        return undefined;
+      }
+      if (! context.stringLocaleMapped) {
+        init(context);
+      }
+      var columns = mappedColumns(context).map(function (colIdx) {
+        return describeMemory(context, colIdx);
+      });
+      return {
+        bytes: columns.reduce(function (sum, column) { return sum + column.bytes; }, 0),
+        peakBytes: columns.reduce(function (max, column) { return Math.max(max, column.peakBytes); }, 0),
+        columns: columns
+      };
+    } );
+
+    /*
+     * memory used for the ranks of columns: { column, rows, distinct, rankType, bytes, peakBytes }, rankType is the array the ranks
+     * are stored in ("Uint16Array" up to 65534 rows, "Uint32Array", or "Array" without typed arrays), bytes its size,
+     * peakBytes the estimated peak of the arrays allocated while building the cache (without the cell strings). 0 as long as there is no cache
+     */
+    $.fn.dataTable.Api.registerPlural( 'columns().stringLocaleMemory()', 'column().stringLocaleMemory()', function () {
+      return this.iterator( 'column', function ( context, colIdx ) {
+        if (! context.stringLocaleMapped) {
+          init(context);
+        }
+        return describeMemory(context, colIdx);
+      }, 1 );
+    } );
 
     function init(settings) {
       // this serves as a container for our internal stuff
@@ -79,122 +298,1187 @@
       var haveOptions = myOptions != undefined;
       // always set this option
       settings.stringLocaleMapped.caseInsensitive = haveOptions && myOptions.caseInsensitive === true;
-      if (haveOptions && myOptions.locale != undefined && typeof myOptions.locale === "string") {
-        settings.stringLocaleMapped.locale = myOptions.locale;
-      } else {
-        settings.stringLocaleMapped.locale = (navigator.language || navigator.browserLanguage).split('-')[0];
+      setRequestedLocale(settings.stringLocaleMapped, haveOptions ? myOptions.locale : undefined);
+      // passed to Intl.Collator as is, e.g. { sensitivity: "base", numeric: true, ignorePunctuation: true }
+      settings.stringLocaleMapped.collatorOptions = haveOptions && $.isPlainObject(myOptions.collatorOptions) ? $.extend({}, myOptions.collatorOptions) : {};
+      // per column: options resolved from table and column options plus the column's comparator, see getColumnOptions()
+      settings.stringLocaleMapped.columns = [];
+      // preprocess(value, rowIdx, colIdx) returns the string actually ranked for a cell value, e.g. without a leading "The "
+      settings.stringLocaleMapped.preprocess = haveOptions && typeof myOptions.preprocess === "function" ? myOptions.preprocess : null;
+      // compare(a, b) of two sort keys replacing the collator, e.g. a domain specific order of product codes
+      settings.stringLocaleMapped.compare = haveOptions && typeof myOptions.compare === "function" ? myOptions.compare : null;
+      // normalization of cell values before ranking, see core.toNormalizeOptions()
+      settings.stringLocaleMapped.normalize = haveOptions ? core.toNormalizeOptions(myOptions.normalize) : null;
+      // which keys share a rank (and so are ordered by the next column in multi column sorts), see core.createComparator()
+      settings.stringLocaleMapped.equivalence = (haveOptions && toEquivalence(myOptions)) || "collator";
+      // natural order, i.e. digit runs ranked by their value ("Raum 2" before "Raum 10"), same as collatorOptions.numeric
+      settings.stringLocaleMapped.numeric = haveOptions && typeof myOptions.numeric === "boolean" ? myOptions.numeric : undefined;
+      // keep the sorted distinct values to update ranks of changed rows with a few binary searches instead of rebuilding the whole column
+      settings.stringLocaleMapped.incremental = haveOptions && myOptions.incremental === true;
+      // build the ranks of whole columns in a Web Worker, the table is ordered by pendingOrder until they arrive
+      settings.stringLocaleMapped.worker = haveOptions && myOptions.worker === true;
+      settings.stringLocaleMapped.pendingOrder = haveOptions && myOptions.pendingOrder === "keep" ? "keep" : "index";
+      // rank just the rows of the current page by partial selection and draw, the whole column is ranked in the background, see firstPageRanks()
+      settings.stringLocaleMapped.firstPage = haveOptions && myOptions.firstPage === true;
+      // store ranks in IndexedDB (in a database of this name, "DT_localesort" for true) and load them on later page loads instead of ranking again
+      settings.stringLocaleMapped.persist = haveOptions && myOptions.persist ? (typeof myOptions.persist === "string" ? myOptions.persist : "DT_localesort") : null;
+      // property of an ajax response with ranks precomputed by the server: { columnIndexOrDataName: [rank of each row], ... }, see receivedValues()
+      settings.stringLocaleMapped.ajaxRanks = haveOptions && typeof myOptions.ajaxRanks === "string" ? myOptions.ajaxRanks : "stringLocaleRanks";
+      settings.stringLocaleMapped.received = null;
+      // rank caches exported by exportStringLocaleCache(), imported on the first sort when the rows are there
+      settings.stringLocaleMapped.importCache = haveOptions && myOptions.importCache ? myOptions.importCache : null;
+      // per column: the running worker, database or background job, see createJob()
+      settings.stringLocaleMapped.jobs = [];
+      // incremented by each recalc, so a running async recalc notices it is outdated
+      settings.stringLocaleMapped.recalcId = 0;
+      settings.stringLocaleMapped.cache = [];
+      // per column: the rows (and their cell values) a cache was built from, see diffSource()
+      settings.stringLocaleMapped.sources = [];
+
+      // ajax reloads replace all rows anyway, drop the caches right away instead of checking them row by row
+      $(settings.nTable)
+        .on('xhr.dt.stringLocaleMapped', function (e, ctx, json) {
+          if (ctx === settings) {
+            invalidate(settings);
+            receiveRanks(settings, json);
+          }
+        })
+        .on('preDraw.dt.stringLocaleMapped', function (e, ctx) {
+          // ranks received with an ajax response fit the rows only right after they were loaded, use them for the columns not sorted yet
+          if (ctx === settings && settings.stringLocaleMapped.received) {
+            mappedColumns(settings).forEach(function (colIdx) {
+              if (! settings.stringLocaleMapped.cache[colIdx]) {
+                useServerRanks(settings, colIdx, new DataTable.Api(settings).column(colIdx, {order: 'index'}).data());
+              }
+            });
+            settings.stringLocaleMapped.received = null;
+          }
+        })
+        .on('page.dt.stringLocaleMapped length.dt.stringLocaleMapped', function (e, ctx) {
+          // rows behind the first page ranks are not ordered yet: sort again for the new page, the draw following the event shows it
+          if (ctx === settings && firstPageOutgrown(settings)) {
+            DataTable.ext.internal._fnSort(settings);
+            if (settings.oFeatures.bFilter) {
+              DataTable.ext.internal._fnFilterComplete(settings, settings.oPreviousSearch);
+            } else {
+              settings.aiDisplay = settings.aiDisplayMaster.slice();
+            }
+          }
+        })
+        .on('destroy.dt.stringLocaleMapped', function (e, ctx) {
+          if (ctx === settings) {
+            $(settings.nTable).off('.stringLocaleMapped');
+            invalidate(settings);
+            settings.stringLocaleMapped.recalcId++;
+            if (settings.stringLocaleMapped.workerInstance) {
+              settings.stringLocaleMapped.workerInstance.terminate();
+            }
+            if (settings.stringLocaleMapped.database) {
+              settings.stringLocaleMapped.database.then(function (db) {
+                if (db) {
+                  db.close();
+                }
+              });
+            }
+          }
+        });
+    }
+
+    // keep the ranks precomputed by the server of an ajax response until its rows are drawn, see useServerRanks()
+    function receiveRanks(settings, json) {
+      var ranks = json && json[settings.stringLocaleMapped.ajaxRanks];
+      settings.stringLocaleMapped.received = $.isPlainObject(ranks) ? ranks : null;
+    }
+
+    // indexes of all columns ordered by this plugin
+    function mappedColumns(settings) {
+      var columns = [];
+      settings.aoColumns.forEach( function(col, colIdx) {
+        if (col.bSortable && types.hasOwnProperty(col.sSortDataType)) {
+          columns.push(colIdx);
+        }
+      });
+      return columns;
+    }
+
+    // BCP 47 language tags of the locale option, which may be a single tag or an array of tags in order of preference
+    function toLocaleList(locale) {
+      return (Array.isArray(locale) ? locale : [locale]).filter(function (tag) {
+        return typeof tag === "string" && tag !== "";
+      });
+    }
+
+    // the browser's languages in order of preference, then the page's language
+    function defaultLocales() {
+      var tags = [];
+      if (typeof navigator !== "undefined") {
+        tags = tags.concat(navigator.languages || [], navigator.language || navigator.browserLanguage || []);
       }
+      if (typeof document !== "undefined" && document.documentElement.lang) {
+        tags.push(document.documentElement.lang);
+      }
+      return toLocaleList(tags).filter(function (tag, i, all) {
+        return all.indexOf(tag) === i;
+      });
+    }
+
+    /*
+     * sets requestedLocale (the tags asked for, defaults when none) and locale (the negotiated tag used for the collators) of the table's
+     * or a column's options
+     */
+    function setRequestedLocale(options, locale) {
+      options.requestedLocale = toLocaleList(locale);
+      if (! options.requestedLocale.length) {
+        options.requestedLocale = defaultLocales();
+      }
+      options.locale = core.negotiateLocale(options.requestedLocale);
+    }
+
+    /*
+     * how the requested locale could be honored by a comparator: { requested, locale, resolved, honored, fallback, asciiFastPath }, see stringLocale().
+     * fallback is false for Intl.Collator, "table" for the bundled fallback collation and "localeCompare" for String.localeCompare
+     */
+    function describeLocale(options, comparator) {
+      var resolvedOptions = comparator.collator.resolvedOptions ? comparator.collator.resolvedOptions() : {};
+      var resolved = resolvedOptions.locale;
+      var first = options.requestedLocale[0];
+      return {
+        requested: options.requestedLocale.slice(),
+        locale: options.locale,
+        resolved: resolved,
+        honored: resolved !== undefined && first !== undefined && resolved.toLowerCase() === first.replace(/_/g, "-").toLowerCase(),
+        fallback: resolvedOptions.fallback || false,
+        asciiFastPath: comparator.asciiFastPath
+      };
+    }
+
+    // see column().stringLocaleMemory()
+    function describeMemory(settings, colIdx) {
+      var ranks = settings.stringLocaleMapped.cache[colIdx];
+      var source = settings.stringLocaleMapped.sources[colIdx];
+      var bytesPerRank = ranks && ranks.BYTES_PER_ELEMENT;
+      return {
+        column: colIdx,
+        rows: ranks ? ranks.length : 0,
+        distinct: source && source.distinct ? source.distinct.keys.length : 0,
+        rankType: ! ranks ? undefined : bytesPerRank === 2 ? "Uint16Array" : bytesPerRank === 4 ? "Uint32Array" : "Array",
+        bytes: ranks ? ranks.length * (bytesPerRank || 8) : 0,
+        peakBytes: source && source.peakBytes || 0
+      };
+    }
+
+    function invalidate(settings) {
       settings.stringLocaleMapped.cache = [];
+      settings.stringLocaleMapped.sources = [];
+      // results of running worker jobs are stale now, they are dropped when they arrive
+      settings.stringLocaleMapped.jobs = [];
+      updateProcessing(settings);
+    }
+
+    /*
+     * snapshot of the DataTables row objects and their sort data arrays a cache is built from.
+     * DataTables replaces a row's _aSortData with null whenever it gets invalidated (row().data(), row().invalidate(), cell().data())
+     * and removing/adding rows changes settings.aoData, so comparing references later tells us which rows changed.
+     */
+    function snapshotRows(settings) {
+      var rows = settings.aoData;
+      var snapshot = {
+        rows: new Array(rows.length),
+        sortData: new Array(rows.length)
+      };
+      for (var i = 0; i < rows.length; i++) {
+        if (! rows[i]._aSortData) {
+          rows[i]._aSortData = []; // DataTables fills this in right after our order function returned
+        }
+        snapshot.rows[i] = rows[i];
+        snapshot.sortData[i] = rows[i]._aSortData;
+      }
+      return snapshot;
+    }
+
+    /*
+     * remember the rows snapshot and cell values the cache of a column was built from.
+     * The sorted distinct keys and the estimated peak bytes of building the cache are kept as well,
+     * in incremental mode also the per row sort keys, see updateStringLocaleMappedIntColumn()
+     */
+    function rememberSource(settings, colIdx, snapshot, colData, keys, distinct, peakBytes) {
+      settings.stringLocaleMapped.sources[colIdx] = {
+        rows: snapshot.rows,
+        sortData: snapshot.sortData,
+        values: colData,
+        keys: keys,
+        distinct: distinct,
+        peakBytes: peakBytes
+      };
+    }
+
+    /*
+     * compares the current table rows with the rows the cache of this column was built from.
+     * Returns null when the cache is still valid, false when it has to be rebuilt (no source or more than maxChanges changes),
+     * otherwise the changes: the old index of each current row (-1 for added rows), the removed old row indexes,
+     * the current indexes of added rows and of rows whose value changed, and all current cell values.
+     * Invalidated rows count as changed only when this column's cell value actually changed,
+     * so editing one column does not rebuild the caches of all other columns.
+     */
+    function diffSource(settings, colIdx, maxChanges) {
+      var source = settings.stringLocaleMapped.sources[colIdx];
+      if (! source) {
+        return false;
+      }
+      var rows = settings.aoData;
+      var oldRows = source.rows;
+      var diff = { oldIndex: new Array(rows.length), removed: [], changed: [], values: new Array(rows.length) };
+      var value;
+      var i = 0;
+
+      for (var j = 0; j < rows.length; j++) {
+        // DataTables keeps the order of the remaining rows when removing and appends added rows,
+        // so old rows not matching the current one in sequence are the removed ones
+        while (i < oldRows.length && oldRows[i] !== rows[j]) {
+          diff.removed.push(i++);
+        }
+
+        if (i < oldRows.length) {
+          diff.oldIndex[j] = i;
+          value = source.values[i];
+          if (rows[j]._aSortData !== source.sortData[i]) {
+            value = DataTable.ext.internal._fnGetCellData(settings, j, colIdx);
+            if (value !== source.values[i]) {
+              diff.changed.push(j);
+            }
+          }
+          i++;
+        } else {
+          diff.oldIndex[j] = -1;
+          value = DataTable.ext.internal._fnGetCellData(settings, j, colIdx);
+          diff.changed.push(j);
+        }
+        diff.values[j] = value;
+
+        if (diff.removed.length + diff.changed.length > maxChanges) {
+          return false;
+        }
+      }
+      while (i < oldRows.length) {
+        diff.removed.push(i++);
+      }
+
+      if (diff.removed.length + diff.changed.length > maxChanges) {
+        return false;
+      }
+      if (diff.removed.length === 0 && diff.changed.length === 0) {
+        // rows may have been invalidated, but not this column's values: just pick up their new sort data arrays
+        for (j = 0; j < rows.length; j++) {
+          if (! rows[j]._aSortData) {
+            rows[j]._aSortData = [];
+          }
+          source.sortData[j] = rows[j]._aSortData;
+        }
+        return null;
+      }
+      return diff;
+    }
+
+    /*
+     * how many changed rows are applied incrementally before a full rebuild is cheaper:
+     * each change costs O(log n) collator calls plus renumbering the ranks of up to all n rows with plain integer operations,
+     * a rebuild costs O(n log n) collator calls, which are a lot more expensive than integer operations.
+     */
+    function maxIncrementalChanges(rowCount) {
+      return Math.ceil(Math.log(rowCount + 2) / Math.LN2) * 32;
     }
 
     function getSortColumnData(tableInstance, settings, colIdx) {
       if (! settings.stringLocaleMapped) {
         init(settings);
       }
-      if (! settings.stringLocaleMapped.cache[colIdx] ) {
+      var cache = settings.stringLocaleMapped.cache[colIdx];
+      if (cache) {
+        var maxChanges = settings.stringLocaleMapped.incremental ? maxIncrementalChanges(settings.aoData.length) : 0;
+        var diff = diffSource(settings, colIdx, maxChanges);
+        if (diff === null) {
+          return cache;
+        }
+        var ranks = diff && updateStringLocaleMappedIntColumn(settings, colIdx, diff);
+        if (ranks) {
+          return ranks;
+        }
+      }
+      var sm = settings.stringLocaleMapped;
+      if (sm.importCache) {
+        try {
+          importCache(settings, sm.importCache);
+        } catch (e) {
+          // the columns are ranked here instead, a console warning like for server ranks not fitting the rows
+          DataTable.ext.internal._fnLog(settings, 1, "stringLocaleMapped: " + e.message);
+        }
+        sm.importCache = null;
+        if (sm.cache[colIdx]) {
+          return sm.cache[colIdx];
+        }
+      }
+      var options = getColumnOptions(settings, colIdx);
+      if ((options.ranksSrc !== undefined || sm.received) && ! sm.jobs[colIdx]) {
+        var served = useServerRanks(settings, colIdx, tableInstance.api().column(colIdx, {order: 'index'}).data());
+        if (served) {
+          return served;
+        }
+      }
+      var job = sm.jobs[colIdx];
+      var page = firstPageSize(settings, colIdx);
+      if (job && job.task && ! sameRows(settings, job.snapshot)) {
+        // rows changed while ranking in the background, start over
+        delete sm.jobs[colIdx];
+        job = null;
+      }
+      if (! job && sm.persist && serializable(options) && openDatabase(settings)) {
+        job = createJob(settings, colIdx, tableInstance.api().column(colIdx, {order: 'index'}).data(), page > 0);
+        loadRanks(settings, job);
+      } else if (! job && sm.worker && serializable(options) && getWorker(settings)) {
+        job = createJob(settings, colIdx, tableInstance.api().column(colIdx, {order: 'index'}).data(), page > 0);
+        postToWorker(settings, job);
+      }
+      if (job && ! job.task) {
+        // the worker or the database is busy with this column
+        return (page && firstPageRanks(settings, colIdx, job, page)) || pendingRanks(settings);
+      }
+      if (! job && page) {
+        job = createJob(settings, colIdx, tableInstance.api().column(colIdx, {order: 'index'}).data(), true);
+        rankWhenIdle(settings, job);
+      }
+      if (job) {
+        var ranks = page && firstPageRanks(settings, colIdx, job, page);
+        if (ranks) {
+          return ranks;
+        }
+        // the first page is not enough anymore, e.g. when searching: finish ranking right away
+        delete sm.jobs[colIdx];
+        updateProcessing(settings);
+        job.task.step(function () { return 1; });
+        return storeRanks(settings, colIdx, job.snapshot, job.values, job.keys, job.task.result);
+      }
+      return buildStringLocaleMappedIntColumn(settings, colIdx, tableInstance.api().column(colIdx, {order: 'index'}).data());
+    }
 
-        return buildStringLocaleMappedIntColumn(settings, colIdx, tableInstance.api().column(colIdx, {order: 'index'}).data());
+    /*
+     * firstPage mode: the number of rows up to the end of the current page when they alone decide what is drawn, i.e. this column is the
+     * first one sorted by and no search filters rows. 0 when the whole column has to be ranked anyway (no paging, small tables).
+     */
+    function firstPageSize(settings, colIdx) {
+      if (! settings.stringLocaleMapped.firstPage || ! settings.oFeatures.bPaginate || settings._iDisplayLength < 0) {
+        return 0;
       }
-      return settings.stringLocaleMapped.cache[colIdx];
+      var sort = DataTable.ext.internal._fnSortFlatten(settings);
+      var searching = settings.oPreviousSearch.sSearch !== "" || DataTable.ext.search.length > 0 || settings.aoPreSearchCols.some(function (search) {
+        return search.sSearch !== "";
+      });
+      var size = settings._iDisplayStart + settings._iDisplayLength;
+      return ! searching && sort.length && sort[0].col === colIdx && size * 4 <= settings.aoData.length ? size : 0;
     }
 
     /*
-     * fast table sorting relies on this cache sorter which maps
-     * column cell indexes to (locale respecting) sort positions once!
-     * So the expensive localeCompare is not done on each dataTable sort
-     * which uses much faster integer comparison afterwards, as long as caches are not invalidated
+     * ranks of the rows up to the end of the page (see core.rankFirst()) while the whole column is ranked in the background,
+     * null when the rows changed since the job started
      */
-    function buildStringLocaleMappedIntColumn(context, col, colData){
-      function onlyAsciiChars(elem) {
-        for (var i = 0; i < elem.length; ++i) {
-          // true when 7Bit characters only,  not sure this works for all code points?!
-          if ((0xFF80 & elem.charCodeAt(i)) != 0) { return false; }
+    function firstPageRanks(settings, colIdx, job, size) {
+      if (! sameRows(settings, job.snapshot)) {
+        return null;
+      }
+      var sort = DataTable.ext.internal._fnSortFlatten(settings);
+      job.firstPage = size;
+      return core.rankFirst(job.keys, getComparator(settings, colIdx), size, sort[0].dir === "desc");
+    }
+
+    // whether the current page ends behind the rows ordered by first page ranks of a running job
+    function firstPageOutgrown(settings) {
+      return settings.stringLocaleMapped && settings.stringLocaleMapped.jobs.some(function (job) {
+        return job && job.firstPage && settings._iDisplayStart + settings._iDisplayLength > job.firstPage;
+      });
+    }
+
+    /*
+     * caches the ranks the server precomputed for a column, from the column's ranksSrc property of each row or from the last ajax response.
+     * Returns null when there are none, then the column is ranked here. Ranks not fitting the rows are ignored with a console warning,
+     * except for rows without a rank (e.g. added on the page), which are expected
+     */
+    function useServerRanks(settings, colIdx, colData) {
+      var options = getColumnOptions(settings, colIdx);
+      var values = receivedValues(settings, colIdx);
+      var source = "ajax response";
+      if (! values && options.ranksSrc !== undefined) {
+        var getRank = DataTable.ext.internal._fnGetObjectDataFn(options.ranksSrc);
+        values = new Array(settings.aoData.length);
+        for (var i = 0; i < values.length; i++) {
+          values[i] = getRank(settings.aoData[i]._aData, 'sort');
+          if (values[i] === undefined || values[i] === null || values[i] === "") {
+            return null;
+          }
+        }
+        source = "ranksSrc";
+      }
+      if (! values) {
+        return null;
+      }
+      var keys = colData.map(function (elem, row) { return sortKey(settings, colIdx, elem, row); }).toArray();
+      var result = core.rankByValues(keys, values, getComparator(settings, colIdx));
+      if (! result) {
+        // the column still sorts correctly, ranked here: a console warning, not an alert or exception (DataTables' errMode)
+        DataTable.ext.internal._fnLog(settings, 1, "stringLocaleMapped: ranks of column " + colIdx + " from the " + source +
+          " ignored, they need a number for each of the " + keys.length + " rows");
+        return null;
+      }
+      result.stored = true; // the server sends them on each load anyway, not kept in the persist database
+      return storeRanks(settings, colIdx, snapshotRows(settings), colData.toArray(), keys, result);
+    }
+
+    // the ranks of a column in the last ajax response (see the ajaxRanks option), by column index or by the column's data property name
+    function receivedValues(settings, colIdx) {
+      var received = settings.stringLocaleMapped.received;
+      var name = settings.aoColumns[colIdx].mData;
+      if (! received) {
+        return null;
+      }
+      return received[colIdx] || (typeof name === "string" && received[name]) || null;
+    }
+
+    // the source of a column's cache (see rememberSource()), the cache is built first if it is missing or outdated
+    function currentSource(settings, colIdx) {
+      if (! settings.stringLocaleMapped.cache[colIdx] || diffSource(settings, colIdx, 0) !== null) {
+        buildStringLocaleMappedIntColumn(settings, colIdx, new DataTable.Api(settings).column(colIdx, {order: 'index'}).data());
+      }
+      return settings.stringLocaleMapped.sources[colIdx];
+    }
+
+    function exportCache(settings) {
+      var columns = mappedColumns(settings).filter(function (colIdx) {
+        return serializable(getColumnOptions(settings, colIdx));
+      });
+      return {
+        version: core.cacheFormatVersion,
+        columns: columns.map(function (colIdx) {
+          var options = getColumnOptions(settings, colIdx);
+          var keys = currentSource(settings, colIdx).values.map(function (elem, row) { return sortKey(settings, colIdx, elem, row); });
+          return core.exportColumn(colIdx, {
+            locale: options.locale,
+            collatorOptions: options.collatorOptions,
+            equivalence: options.equivalence,
+            rows: keys.length,
+            fingerprint: core.fingerprint(keys),
+            ranks: settings.stringLocaleMapped.cache[colIdx]
+          });
+        })
+      };
+    }
+
+    // checks all columns of an exported payload against the table first, then caches their ranks, see importStringLocaleCache()
+    function importCache(settings, payload) {
+      var sm = settings.stringLocaleMapped;
+      var api = new DataTable.Api(settings);
+      if (typeof payload === "string") {
+        payload = JSON.parse(payload);
+      }
+      if (! payload || payload.version !== core.cacheFormatVersion || ! Array.isArray(payload.columns)) {
+        throw new Error("importStringLocaleCache() needs a payload of version " + core.cacheFormatVersion + " from exportStringLocaleCache()");
+      }
+      var imports = payload.columns.map(function (entry) {
+        var colIdx = entry && entry.column;
+        if (mappedColumns(settings).indexOf(colIdx) < 0 || ! serializable(getColumnOptions(settings, colIdx))) {
+          throw new Error("importStringLocaleCache(): column " + colIdx + " is not ordered by precomputed ranks here");
+        }
+        var options = getColumnOptions(settings, colIdx);
+        if (entry.locale !== options.locale || ! sameOptions(entry.collatorOptions, options.collatorOptions) || entry.equivalence !== options.equivalence) {
+          throw new Error("importStringLocaleCache(): column " + colIdx + " was ranked for another locale, other collator options or equivalence");
         }
+        var colData = api.column(colIdx, {order: 'index'}).data();
+        var keys = colData.map(function (elem, row) { return sortKey(settings, colIdx, elem, row); }).toArray();
+        if (entry.rows !== keys.length || entry.fingerprint !== core.fingerprint(keys)) {
+          throw new Error("importStringLocaleCache(): column " + colIdx + " was ranked for other data");
+        }
+        var result = core.rankByValues(keys, entry.ranks, getComparator(settings, colIdx));
+        if (! result) {
+          throw new Error("importStringLocaleCache(): the ranks of column " + colIdx + " do not fit its rows");
+        }
+        result.stored = true; // shipped with the page, not kept in the persist database
+        return { col: colIdx, values: colData.toArray(), keys: keys, result: result };
+      });
+
+      var snapshot = snapshotRows(settings);
+      imports.forEach(function (column) {
+        delete sm.jobs[column.col];
+        storeRanks(settings, column.col, snapshot, column.values, column.keys, column.result);
+      });
+      updateProcessing(settings);
+    }
+
+    // whether two option objects have the same properties and values, in any order
+    function sameOptions(a, b) {
+      if (! $.isPlainObject(a) || ! $.isPlainObject(b)) {
+        return false;
+      }
+      var keys = Object.keys(a);
+      return keys.length === Object.keys(b).length && keys.every(function (key) {
+        return b.hasOwnProperty(key) && a[key] === b[key];
+      });
+    }
+
+    // whether the table still has the rows (and their sort data) of a snapshot, see snapshotRows()
+    function sameRows(settings, snapshot) {
+      var rows = settings.aoData;
+      if (rows.length !== snapshot.rows.length) {
+        return false;
+      }
+      for (var i = 0; i < rows.length; i++) {
+        if (rows[i] !== snapshot.rows[i] || rows[i]._aSortData !== snapshot.sortData[i]) {
+          return false;
+        }
+      }
+      return true;
+    }
+
+    /*
+     * options of a column: the table's stringLocaleMapped options, overridden by the defaults of the column's type (see registerType())
+     * and by the column's own ones (columnDefs: [{ "stringLocaleMapped": { "locale": "sv-FI", "caseInsensitive": false, "collatorOptions": {...} }, ... }]),
+     * collatorOptions of the column extend the type's and the table's.
+     */
+    function getColumnOptions(context, col) {
+      var sm = context.stringLocaleMapped;
+      if (! sm.columns[col]) {
+        var typeOptions = types[context.aoColumns[col].sSortDataType] || {};
+        var columnOptions = $.isPlainObject(context.aoColumns[col].stringLocaleMapped) ? context.aoColumns[col].stringLocaleMapped : {};
+        var own = $.extend({}, typeOptions, columnOptions);
+        var options = sm.columns[col] = {
+          requestedLocale: sm.requestedLocale,
+          locale: sm.locale,
+          caseInsensitive: typeof own.caseInsensitive === "boolean" ? own.caseInsensitive : sm.caseInsensitive,
+          equivalence: toEquivalence(own) || sm.equivalence,
+          normalize: own.normalize !== undefined ? core.toNormalizeOptions(own.normalize) : sm.normalize,
+          preprocess: typeof own.preprocess === "function" ? own.preprocess : sm.preprocess,
+          compare: typeof own.compare === "function" ? own.compare : sm.compare,
+          // the row data property holding ranks precomputed by the server, only per column (or type)
+          ranksSrc: typeof own.ranksSrc === "string" || typeof own.ranksSrc === "number" ? own.ranksSrc : undefined,
+          collatorOptions: $.extend({}, sm.collatorOptions, typeOptions.collatorOptions, columnOptions.collatorOptions)
+        };
+        if (toLocaleList(own.locale).length) {
+          setRequestedLocale(options, own.locale);
+        }
+        // natural order: shorthand for the numeric collator option
+        var numeric = typeof own.numeric === "boolean" ? own.numeric : sm.numeric;
+        if (numeric !== undefined) {
+          options.collatorOptions.numeric = numeric;
+        }
+        // an equivalence level not fitting the order would rank values apart that sort next to each other, see core.checkEquivalence()
+        try {
+          core.checkEquivalence(options.locale, options.collatorOptions, options.equivalence, options.compare);
+        } catch (e) {
+          options.equivalence = "collator";
+          DataTable.ext.internal._fnLog(context, 0, "stringLocaleMapped: column " + col + ": " + e.message + ", using \"collator\"");
+        }
+      }
+      return sm.columns[col];
+    }
+
+    // the equivalence option, an equivalent(a, b) function returning true for sort keys sharing a rank wins over a named one
+    function toEquivalence(options) {
+      if (typeof options.equivalent === "function") {
+        return options.equivalent;
+      }
+      return typeof options.equivalence === "string" ? options.equivalence : undefined;
+    }
+
+    /*
+     * re-resolve the options of columns after a locale switch, drop the caches of changed ones and tell others about it.
+     * The event reports the given locale, or the (new) locale of the first column if none is given.
+     */
+    function localeChanged(context, columns, locale) {
+      var sm = context.stringLocaleMapped;
+      var changed = columns.filter(function (col) {
+        var before = sm.columns[col];
+        delete sm.columns[col];
+        var after = getColumnOptions(context, col);
+        // every option deciding the sort keys or their order counts, the cache is kept only when none changed
+        if (before && before.locale === after.locale && before.caseInsensitive === after.caseInsensitive
+            && before.preprocess === after.preprocess && JSON.stringify(before.normalize) === JSON.stringify(after.normalize)
+            && before.compare === after.compare && before.equivalence === after.equivalence && before.ranksSrc === after.ranksSrc
+            && JSON.stringify(before.collatorOptions) === JSON.stringify(after.collatorOptions)) {
+          after.comparator = before.comparator;
+          return false;
+        }
+        delete sm.cache[col];
+        delete sm.sources[col];
+        delete sm.jobs[col];
         return true;
+      });
+      updateProcessing(context);
+      if (locale === undefined) {
+        locale = getColumnOptions(context, columns[0]).locale;
       }
+      DataTable.ext.internal._fnCallbackFire(context, null, 'stringLocale', [context, locale, changed]);
+    }
 
+    // each column has its own comparator, since locale and collator options may differ
+    function getComparator(context, col) {
+      var options = getColumnOptions(context, col);
+      if (! options.comparator) {
+        options.comparator = core.createComparator(options.locale, options.collatorOptions, options.equivalence, options.compare);
+      }
+      return options.comparator;
+    }
 
+    // the sort key of a cell value, i.e. the string actually compared: preprocessed, normalized and lowercased as configured
+    function sortKey(context, col, elem, row) {
+      return core.sortKey(elem, row, col, getColumnOptions(context, col));
+    }
 
-      var tmpMap = colData.map(function (elem, i) {
-        var asciiOnly = onlyAsciiChars(elem);
-        return {
-          "index":i,
-          "data": context.stringLocaleMapped.caseInsensitive ? elem.toLowerCase() : elem,
-          "isAscii" : asciiOnly
+    /*
+     * one worker per table, created from a Blob URL so no extra file needs to be deployed.
+     * Returns null when Web Workers are not available (or blocked, e.g. by a content security policy), then caches are built synchronously.
+     */
+    function getWorker(settings) {
+      var sm = settings.stringLocaleMapped;
+      if (sm.workerInstance === undefined) {
+        sm.workerInstance = null;
+        try {
+          var src = "var core = (" + core.rankingCore.toString() + ")();\n" +
+              "self.onmessage = function (e) {\n" +
+              "  var cmp = core.createComparator(e.data.locale, e.data.collatorOptions, e.data.equivalence);\n" +
+              "  self.postMessage({ id: e.data.id, result: core.rank(e.data.keys, cmp) });\n" +
+              "};\n";
+          var url = URL.createObjectURL(new Blob([src], { type: "text/javascript" }));
+          sm.workerInstance = new Worker(url);
+          URL.revokeObjectURL(url);
+          sm.workerInstance.onmessage = function (e) {
+            finishWorkerBuild(settings, e.data.id, e.data.result);
+          };
+          sm.workerInstance.onerror = function (e) {
+            e.preventDefault();
+            failWorker(settings);
+          };
+        } catch (e) {
+          sm.workerInstance = null;
+        }
+      }
+      return sm.workerInstance;
+    }
+
+    var workerJobId = 0;
+
+    /*
+     * a column ranked outside of the current sort (by the worker, loaded from the database or in the background),
+     * its ranks are stored (and the table redrawn) by finishWorkerBuild(). Quiet jobs (the first page is drawn meanwhile)
+     * do not show the processing indicator
+     */
+    function createJob(settings, colIdx, colData, quiet) {
+      var job = {
+        id: ++workerJobId,
+        col: colIdx,
+        snapshot: snapshotRows(settings),
+        values: colData.toArray(),
+        keys: colData.map(function (elem, row) { return sortKey(settings, colIdx, elem, row); }).toArray(),
+        quiet: quiet === true
+      };
+      settings.stringLocaleMapped.jobs[colIdx] = job;
+
+      // DataTables hides the processing indicator itself at the end of initialisation and header click sorts, show it again afterwards
+      updateProcessing(settings);
+      setTimeout(function () { updateProcessing(settings); }, 0);
+      return job;
+    }
+
+    // hand the sort keys of a column over to the worker
+    function postToWorker(settings, job) {
+      var options = getColumnOptions(settings, job.col);
+      job.posted = true;
+      settings.stringLocaleMapped.workerInstance.postMessage({ id: job.id, keys: job.keys, locale: options.locale, collatorOptions: options.collatorOptions, equivalence: options.equivalence });
+    }
+
+    // rank a column in chunks while the browser is idle, e.g. in firstPage mode without the worker
+    function rankWhenIdle(settings, job) {
+      job.task = core.createSortTask(job.keys, getComparator(settings, job.col));
+      whenIdle(function slice(timeLeft) {
+        if (settings.stringLocaleMapped.jobs[job.col] !== job) {
+          return; // invalidated, or finished by a sort meanwhile
+        }
+        if (job.task.step(timeLeft)) {
+          finishWorkerBuild(settings, job.id, job.task.result);
+        } else {
+          whenIdle(slice);
         }
       });
+    }
+
+    // functions can not be posted to the worker nor stored, columns with a custom compare or equivalent are always ranked on the page
+    function serializable(options) {
+      return ! options.compare && typeof options.equivalence !== "function";
+    }
+
+    /*
+     * the IndexedDB database of the persist option, a Promise of the database or of null when it can not be opened
+     * (e.g. in private browsing), then ranks are neither loaded nor stored. null when IndexedDB is not available at all
+     */
+    function openDatabase(settings) {
+      var sm = settings.stringLocaleMapped;
+      if (sm.database === undefined) {
+        sm.database = null;
+        try {
+          var request = indexedDB.open(sm.persist, 1);
+          sm.database = new Promise(function (resolve) {
+            request.onupgradeneeded = function () {
+              // one entry per ranked column data, at most one per table column (slot) is kept, see storeInDatabase()
+              request.result.createObjectStore("ranks", { keyPath: "key" }).createIndex("slot", "slot");
+            };
+            request.onsuccess = function () { resolve(request.result); };
+            request.onerror = function (e) {
+              e.preventDefault();
+              resolve(null);
+            };
+          });
+        } catch (e) {
+          sm.database = null;
+        }
+      }
+      return sm.database;
+    }
 
-      // note: at least in tested browsers Intl.Collator('de').compare always puts "aalähnlich" before "Aalangel" even with its caseFirst option is set to "upper"
-      var coll = Intl != undefined && Intl.Collator != undefined ?
-            new Intl.Collator(context.stringLocaleMapped.locale)
-          : { compare: function(x,y) { x.localeCompare(y); } };
+    /*
+     * key of a column's ranks in the database: fingerprint of its sort keys (which reflect preprocess, normalize and caseInsensitive)
+     * and of the options the collator actually uses (locale, collator options, fallback) plus the equivalence and the browser's user agent.
+     * The ranks of other data, of another locale or of another browser (version) are never loaded: browser updates bring new ICU versions,
+     * which may collate the same locale and options differently
+     */
+    function databaseKey(settings, colIdx, keys) {
+      var collator = getComparator(settings, colIdx).collator;
+      var browser = typeof navigator !== "undefined" && navigator.userAgent ? navigator.userAgent : "";
+      return "1:" + core.fingerprint(keys) + ":" + JSON.stringify([collator.resolvedOptions(), getColumnOptions(settings, colIdx).equivalence, browser]);
+    }
 
-      // EXPENSIVE sort, we want to use the locale compare only once per column, and not
-      // in per DataTable.sort() (which internally uses Array.sort(): O(n*log(n)) for merge/quick sort)
-      tmpMap.sort(function (x, y) {
+    /*
+     * the table column an entry belongs to, a column keeps only the entry of its latest data. sInstance is the table's id,
+     * or DataTables' generated "DataTables_Table_<n>" for tables without one, so id-less tables do not share a slot
+     */
+    function databaseSlot(settings, colIdx) {
+      return (typeof location !== "undefined" ? location.pathname : "") + "#" + settings.sInstance + ":" + colIdx;
+    }
 
-        if (x.isAscii && y.isAscii) {
-          return x.data < y.data ? -1 : x.data > y.data ? 1 : 0;
+    // stored ranks fit a column of n rows: a rank for each row and parallel arrays of the sorted distinct keys, their ranks and counts
+    function validRanks(entry, n) {
+      return !! entry && !! entry.ranks && entry.ranks.length === n && !! entry.distinct && Array.isArray(entry.distinct.keys)
+        && !! entry.distinct.ranks && entry.distinct.ranks.length === entry.distinct.keys.length
+        && Array.isArray(entry.distinct.counts) && entry.distinct.counts.length === entry.distinct.keys.length;
+    }
+
+    // look the ranks of a column's data up in the database, if there are none rank it in the worker or in the background
+    function loadRanks(settings, job) {
+      var sm = settings.stringLocaleMapped;
+      job.databaseKey = databaseKey(settings, job.col, job.keys);
+      sm.database.then(function (db) {
+        return db && new Promise(function (resolve) {
+          var request = db.transaction("ranks").objectStore("ranks").get(job.databaseKey);
+          request.onsuccess = function () { resolve(request.result); };
+          request.onerror = function (e) {
+            e.preventDefault();
+            resolve(null);
+          };
+        });
+      }).then(null, function () {
+        return null; // e.g. the database was closed or deleted meanwhile
+      }).then(function (entry) {
+        if (sm.jobs[job.col] !== job) {
+          return; // invalidated meanwhile
+        }
+        if (validRanks(entry, job.keys.length)) {
+          finishWorkerBuild(settings, job.id, { ranks: entry.ranks, distinct: entry.distinct, peakBytes: entry.peakBytes, stored: true });
+        } else if (sm.worker && getWorker(settings)) {
+          postToWorker(settings, job);
         } else {
-          return coll.compare(x.data, y.data);
+          rankWhenIdle(settings, job);
         }
       });
+    }
 
-      context.stringLocaleMapped.cache[col]= new Array(tmpMap.length);
-      var colToOrderPos = context.stringLocaleMapped.cache[col];
+    // store the ranks of a column in the database and drop the ones of its older data
+    function storeInDatabase(settings, colIdx, keys, result) {
+      var entry = {
+        key: databaseKey(settings, colIdx, keys),
+        slot: databaseSlot(settings, colIdx),
+        stored: Date.now(),
+        ranks: result.ranks,
+        distinct: result.distinct,
+        peakBytes: result.peakBytes
+      };
+      openDatabase(settings).then(function (db) {
+        if (! db) {
+          return;
+        }
+        try {
+          var store = db.transaction("ranks", "readwrite").objectStore("ranks");
+          store.put(entry);
+          store.index("slot").openKeyCursor(entry.slot).onsuccess = function (e) {
+            var cursor = e.target.result;
+            if (cursor) {
+              if (cursor.primaryKey !== entry.key) {
+                store["delete"](cursor.primaryKey);
+              }
+              cursor["continue"]();
+            }
+          };
+        } catch (e) {
+          // e.g. the quota is exceeded, the ranks are just not stored
+        }
+      });
+    }
 
-      colToOrderPos[ tmpMap[0].index ] = 0; // factored out 1st entry to take array index i-1 check out of the loop
-      var idxForSameContent = 0;
+    // shows DataTables' processing indicator while (not quiet) jobs are running
+    function updateProcessing(settings) {
+      var busy = settings.stringLocaleMapped.jobs.some(function (job) { return job && ! job.quiet; });
+      if (busy || settings.stringLocaleMapped.processing) {
+        DataTable.ext.internal._fnProcessingDisplay(settings, busy);
+      }
+      settings.stringLocaleMapped.processing = busy;
+    }
 
-      for (var i = 1; i< tmpMap.length; i++) {
-        if (tmpMap[i].data == tmpMap[i-1].data) {
-          // if elems equal, keep sort index equal to make multi column sort possible later
-          colToOrderPos[ tmpMap[i].index ] = idxForSameContent;
+    function finishWorkerBuild(settings, jobId, result) {
+      var sm = settings.stringLocaleMapped;
+      var job = sm.jobs.filter(function (job) { return job && job.id === jobId; })[0];
+      if (! job) {
+        return; // invalidated meanwhile
+      }
+      delete sm.jobs[job.col];
+      storeRanks(settings, job.col, job.snapshot, job.values, job.keys, result);
+
+      if (! sm.jobs.some(function (other) { return other; })) {
+        updateProcessing(settings);
+        // rows changed while the worker was busy are picked up by the usual checks in getSortColumnData()
+        new DataTable.Api(settings).draw(false);
+      }
+    }
+
+    // the worker failed, e.g. blob workers are not allowed here: rank running jobs synchronously and never use the worker again
+    function failWorker(settings) {
+      var sm = settings.stringLocaleMapped;
+      var jobs = sm.jobs.filter(function (job) { return job && job.posted; });
+      sm.workerInstance.terminate();
+      sm.workerInstance = null;
+      sm.worker = false;
+      jobs.forEach(function (job) {
+        finishWorkerBuild(settings, job.id, core.rank(job.keys, getComparator(settings, job.col)));
+      });
+    }
+
+    /*
+     * ranks used while the worker is still busy, not cached:
+     * "index" orders rows in natural index order, "keep" keeps the current order, i.e. refuses to sort.
+     */
+    function pendingRanks(settings) {
+      var ranks = core.createRanks(settings.aoData.length);
+      var i;
+      if (settings.stringLocaleMapped.pendingOrder === "keep") {
+        for (i = 0; i < settings.aiDisplayMaster.length; i++) {
+          ranks[ settings.aiDisplayMaster[i] ] = i;
+        }
+      } else {
+        for (i = 0; i < ranks.length; i++) {
+          ranks[i] = i;
+        }
+      }
+      return ranks;
+    }
+
+    /*
+     * fast table sorting relies on this cache sorter which maps
+     * column cell indexes to (locale respecting) sort positions once!
+     * So the expensive localeCompare is not done on each dataTable sort
+     * which uses much faster integer comparison afterwards, as long as caches are not invalidated
+     */
+    function buildStringLocaleMappedIntColumn(context, col, colData){
+      var keys = colData.map(function (elem, row) { return sortKey(context, col, elem, row); }).toArray();
+      var snapshot = snapshotRows(context);
+      return storeRanks(context, col, snapshot, colData.toArray(), keys, core.rank(keys, getComparator(context, col)));
+    }
+
+    function now() {
+      return typeof performance !== "undefined" && performance.now ? performance.now() : Date.now();
+    }
+
+    // run fn(timeLeft) when the browser is idle, timeLeft() returns the milliseconds fn may still use
+    function whenIdle(fn) {
+      if (typeof requestIdleCallback === "function") {
+        requestIdleCallback(function (deadline) {
+          fn(function () { return deadline.timeRemaining(); });
+        }, { timeout: 100 });
+      } else {
+        setTimeout(function () {
+          var end = now() + 12;
+          fn(function () { return end - now(); });
+        }, 0);
+      }
+    }
+
+    // async version of recalcStringLocaleMappedCache(), see recalcStringLocaleMappedCacheAsync()
+    function recalcAsync(settings) {
+      var sm = settings.stringLocaleMapped;
+      var id = ++sm.recalcId;
+      var api = new DataTable.Api(settings);
+      var columns = mappedColumns(settings);
+      var timings = [];
+      var task, job, timing;
+
+      return new Promise(function (resolve, reject) {
+        function slice(timeLeft) {
+          try {
+            if (sm.recalcId !== id) {
+              var err = new Error("recalcStringLocaleMappedCacheAsync() cancelled by a newer recalc");
+              err.name = "AbortError";
+              reject(err);
+              return;
+            }
+            var sliceStart = now();
+            while (columns.length) {
+              if (! task) {
+                timing = { table: settings.nTable, column: columns[0], rows: 0, time: 0, elapsed: sliceStart };
+                var colData = api.column(columns[0], {order: 'index'}).data();
+                job = {
+                  snapshot: snapshotRows(settings),
+                  values: colData.toArray(),
+                  keys: colData.map(function (elem, row) { return sortKey(settings, columns[0], elem, row); }).toArray()
+                };
+                timing.rows = job.keys.length;
+                task = core.createSortTask(job.keys, getComparator(settings, columns[0]));
+              }
+              var done = task.step(timeLeft);
+              timing.time += now() - sliceStart;
+              sliceStart = now();
+              if (! done) {
+                whenIdle(slice);
+                return;
+              }
+              storeRanks(settings, columns.shift(), job.snapshot, job.values, job.keys, task.result);
+              timing.time += now() - sliceStart;
+              sliceStart = now();
+              timing.elapsed = now() - timing.elapsed;
+              timings.push(timing);
+              task = null;
+              if (columns.length && timeLeft() <= 0) {
+                whenIdle(slice);
+                return;
+              }
+            }
+            resolve(timings);
+          } catch (e) {
+            // slices run from idle callbacks, outside the executor: a throwing preprocess, compare or data source rejects instead of hanging
+            reject(e);
+          }
+        }
+        whenIdle(slice);
+      });
+    }
+
+    // caches the ranks of a column's rows (result of core.rank()), remembers what they were built from and stores them in the persist database
+    function storeRanks(context, col, snapshot, colData, keys, result) {
+      context.stringLocaleMapped.cache[col] = result.ranks;
+
+      // the sorted distinct keys (with their rank and number of rows) for stringLocaleDistinct() and incremental updates, which need the sort key of each row as well
+      var incremental = context.stringLocaleMapped.incremental;
+      var distinct = result.distinct;
+      if (incremental) {
+        // incremental updates insert and remove distinct keys, typed arrays can not do that
+        distinct = { keys: distinct.keys.slice(), ranks: Array.prototype.slice.call(distinct.ranks), counts: distinct.counts.slice() };
+      }
+      rememberSource(context, col, snapshot, colData, incremental ? keys : undefined, distinct, result.peakBytes);
+
+      if (context.stringLocaleMapped.persist && ! result.stored && serializable(getColumnOptions(context, col)) && openDatabase(context)) {
+        storeInDatabase(context, col, keys, result);
+      }
+      return result.ranks;
+    }
+
+    /*
+     * find the position of a sort key in the sorted distinct keys by binary search, O(log n) collator calls.
+     * Returns the index of exactly this key, or -(insert position) - 1 if there is none.
+     */
+    function findDistinct(cmp, distinct, key, keyAscii) {
+      var lo = 0, hi = distinct.keys.length, mid, result;
+      while (lo < hi) {
+        mid = (lo + hi) >>> 1;
+        result = cmp.compare(distinct.keys[mid], cmp.isAscii(distinct.keys[mid]), key, keyAscii);
+        if (result === 0) {
+          return mid;
+        }
+        if (result < 0) {
+          lo = mid + 1;
         } else {
-          // default
-          colToOrderPos[ tmpMap[i].index ] = i;
-          idxForSameContent = i;
+          hi = mid;
+        }
+      }
+      return -lo - 1;
+    }
+
+    // add 'by' to all ranks from 'fromRank' on, in the rows (except pending ones) and in the distinct keys
+    function shiftRanks(ranks, distinct, fromRank, by) {
+      var pending = core.pendingRank(ranks);
+      for (var i = 0; i < ranks.length; i++) {
+        if (ranks[i] >= fromRank && ranks[i] !== pending) {
+          ranks[i] += by;
         }
       }
+      for (var k = 0; k < distinct.ranks.length; k++) {
+        if (distinct.ranks[k] >= fromRank) {
+          distinct.ranks[k] += by;
+        }
+      }
+    }
 
-      return colToOrderPos;
+    /*
+     * removes one row with the given sort key from the sorted distinct keys and renumbers the ranks behind it.
+     * Equivalent distinct keys share the rank of their first row, so the rank stays taken while any of them has rows left.
+     */
+    function removeSortKey(cmp, distinct, ranks, key) {
+      var k = findDistinct(cmp, distinct, key, cmp.isAscii(key));
+      if (k < 0) {
+        return false; // comparator is inconsistent with the one the keys were sorted with, caller rebuilds the column
+      }
+      var rank = distinct.ranks[k];
+      if (--distinct.counts[k] === 0) {
+        distinct.keys.splice(k, 1);
+        distinct.ranks.splice(k, 1);
+        distinct.counts.splice(k, 1);
+      }
+      shiftRanks(ranks, distinct, rank + 1, -1);
+      return true;
     }
 
-    $.extend( DataTable.ext.order, {
-      "string-locale-mapped-int": function (settings, colIdx) {
-        return getSortColumnData(this, settings, colIdx);
+    // inserts one row with the given sort key into the sorted distinct keys, renumbers the ranks behind it and returns the row's rank
+    function insertSortKey(cmp, distinct, ranks, key, rowCount) {
+      var ascii = cmp.isAscii(key);
+      var k = findDistinct(cmp, distinct, key, ascii);
+      var rank;
+      if (k >= 0) {
+        distinct.counts[k]++;
+        shiftRanks(ranks, distinct, distinct.ranks[k] + 1, 1);
+        return distinct.ranks[k];
       }
-    });
+      k = -k - 1;
+      if (k > 0 && cmp.equivalent(distinct.keys[k-1], cmp.isAscii(distinct.keys[k-1]), key, ascii)) {
+        // joins the ranks of its equivalent neighbours
+        rank = distinct.ranks[k-1];
+        shiftRanks(ranks, distinct, rank + 1, 1);
+      } else if (k < distinct.keys.length && cmp.equivalent(key, ascii, distinct.keys[k], cmp.isAscii(distinct.keys[k]))) {
+        rank = distinct.ranks[k];
+        shiftRanks(ranks, distinct, rank + 1, 1);
+      } else {
+        rank = k < distinct.keys.length ? distinct.ranks[k] : rowCount;
+        shiftRanks(ranks, distinct, rank, 1);
+      }
+      distinct.keys.splice(k, 0, key);
+      distinct.ranks.splice(k, 0, rank);
+      distinct.counts.splice(k, 0, 1);
+      return rank;
+    }
+
+    /*
+     * incremental alternative to buildStringLocaleMappedIntColumn() for a few changed rows:
+     * removed and changed rows take their old sort key out of the sorted distinct keys,
+     * added and changed rows binary search their new key into place.
+     * Only the ranks behind an insert/remove position are renumbered. Returns null when the column has to be rebuilt instead.
+     */
+    function updateStringLocaleMappedIntColumn(context, col, diff) {
+      var source = context.stringLocaleMapped.sources[col];
+      var oldRanks = context.stringLocaleMapped.cache[col];
+      var cmp = getComparator(context, col);
+      var distinct = source.distinct;
+      var rowCount = 0;
+      var ranks = core.createRanks(diff.oldIndex.length);
+      var pending = core.pendingRank(ranks);
+      var keys = new Array(diff.oldIndex.length);
+      var i, j;
+
+      // ranks of new/changed rows stay pending until inserted, renumbering never touches them
+      for (j = 0; j < ranks.length; j++) {
+        ranks[j] = diff.oldIndex[j] < 0 ? pending : oldRanks[diff.oldIndex[j]];
+        keys[j] = diff.oldIndex[j] < 0 ? undefined : source.keys[diff.oldIndex[j]];
+        if (diff.oldIndex[j] >= 0) {
+          rowCount++;
+        }
+      }
+
+      for (i = 0; i < diff.removed.length; i++) {
+        if (! removeSortKey(cmp, distinct, ranks, source.keys[diff.removed[i]])) {
+          return null;
+        }
+      }
+      for (i = 0; i < diff.changed.length; i++) {
+        j = diff.changed[i];
+        if (diff.oldIndex[j] >= 0) {
+          if (! removeSortKey(cmp, distinct, ranks, keys[j])) {
+            return null;
+          }
+          ranks[j] = pending;
+          rowCount--;
+        }
+      }
+      for (i = 0; i < diff.changed.length; i++) {
+        j = diff.changed[i];
+        keys[j] = sortKey(context, col, diff.values[j], j);
+        ranks[j] = insertSortKey(cmp, distinct, ranks, keys[j], rowCount++);
+      }
+
+      context.stringLocaleMapped.cache[col] = ranks;
+      rememberSource(context, col, snapshotRows(context), diff.values, keys, distinct, source.peakBytes);
+      return ranks;
+    }
+
+    /*
+     * registers a type / orderDataType pair ordered by precomputed ranks, e.g. "version-mapped-int" with { compare, preprocess, equivalent }
+     * or any other stringLocaleMapped column options as defaults for columns of this type (their own options still win).
+     * Use the name for both "type" and "orderDataType" of the columns.
+     */
+    function registerType(name, options) {
+      if (typeof name !== "string" || name === "") {
+        throw new TypeError("DataTable.localeMapped.registerType() needs a type name");
+      }
+      types[name] = $.extend({}, options);
+
+      DataTable.ext.order[name] = function (settings, colIdx) {
+        return getSortColumnData(this, settings, colIdx);
+      };
+
+      // identity formatter, so DataTables compares the precomputed ranks as numbers instead of falling back to its string compare
+      DataTable.ext.type.order[name + "-pre"] = function (a) { return a; };
+      return name;
+    }
+
+    // registered types by name, with their default options
+    var types = {};
 
-    $.extend( DataTable.ext.type.order, {
-
-      /*
-       * we need this 'formatter', so that DataTable does not try to use the fallback string-asc|desc compare functions one of the following locale compares
-       * for each sorting but instead uses integer comparison on the pre-computed numbers from above
-       */
-      "string-locale-mapped-int-pre": function (a) { return a; }
-      //,
-      /*
-       * this is would be the naive approach for locale sorting: the two functions would be called for every compare in the inner sort loop in dataTable._fnSort()!
-       * --> really slow!
-       */
-      //"string-locale-asc": function (x, y) { return x.localeCompare(y); },
-      //"string-locale-desc": function (x, y) { return y.localeCompare(x); }
+    DataTable.localeMapped = {
+      registerType: registerType
+    };
+
+    registerType("string-locale-mapped-int");
+
+    // tables are set up on their first sort, the first ajax response may arrive before that: pick up its ranks anyway
+    $(document).on('xhr.dt.stringLocaleMapped', function (e, settings, json) {
+      if (! settings.stringLocaleMapped && mappedColumns(settings).length) {
+        init(settings);
+        receiveRanks(settings, json);
+      }
     });
 
   }; // /factory
 
 // Define as an AMD module if possible
   if ( typeof define === 'function' && define.amd ) {
-    define( ['jquery', 'datatables'], factory );
+    define( ['jquery', 'datatables', './DT_localesort.core'], factory );
   }
   else if ( typeof exports === 'object' ) {
     // Node/CommonJS
-    factory( require('jquery'), require('datatables') );
+    factory( require('jquery'), require('datatables'), require('./DT_localesort.core.js') );
   }
   else if ( jQuery ) {
     // Otherwise simply initialise as normal, stopping multiple evaluation
-    factory( jQuery, jQuery.fn.dataTable );
+    if ( typeof DT_localesortCore === 'undefined' ) {
+      throw new Error("DT_localesort.js needs DT_localesort.core.js, include it first");
+    }
+    factory( jQuery, jQuery.fn.dataTable, DT_localesortCore );
   }
 
 })();
@@ -0,0 +1,151 @@
+/**
+ * Checks bin/localesort-ranks.js: ranks a CSV and the same rows as JSON, checks both payloads against rankColumn(),
+ * and checks the CLI's errors for missing, unknown and invalid arguments. Then imports the payload into a DataTable with
+ * importStringLocaleCache() and checks that the table sorts like Intl.Collator without collating, that exportStringLocaleCache()
+ * gives the payload back and that payloads not fitting the rows are rejected.
+ * The table part needs jsdom, jquery and datatables.net (1.10) resolvable by require(), e.g. via NODE_PATH, and is skipped without them.
+ *
+ * usage:
+ * node test/cli.test.js
+ */
+(function(){
+  "use strict";
+
+  var assert = require('assert');
+  var childProcess = require('child_process');
+  var fs = require('fs');
+  var os = require('os');
+  var path = require('path');
+  var root = path.join(__dirname, '..');
+  var localeCore = require(path.join(root, 'js', 'DT_localesort.core.js'));
+  var cli = path.join(root, 'bin', 'localesort-ranks.js');
+
+  var germanWords = (new Function(fs.readFileSync(path.join(root, 'example', 'german.1k.js'), 'utf8') + ";return germanWords;"))();
+  var places = ["Zürich", "Örebro", "Aachen", "Ärzte, \"Haus\"", "Ast\nHof", "zürich"];
+  var rows = germanWords.slice(0, 600).map(function (word, i) {
+    return [String(i), word + (i % 5 ? "" : " Ä"), places[i % places.length]];
+  });
+
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'localesort-'));
+  var csvFile = path.join(dir, 'data.csv');
+  var jsonFile = path.join(dir, 'data.json');
+  fs.writeFileSync(csvFile, [["id", "name", "place"]].concat(rows).map(function (row) {
+    return row.map(function (field) { return /[",\n]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field; }).join(",");
+  }).join("\r\n") + "\r\n");
+  fs.writeFileSync(jsonFile, JSON.stringify({ data: rows.map(function (row) { return { id: row[0], name: row[1], place: row[2] }; }) }));
+
+  // runs the CLI, returns { status, stdout, stderr }
+  function run(args) {
+    var result = childProcess.spawnSync(process.execPath, [cli].concat(args), { encoding: 'utf8' });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+  }
+
+  var options = ["--locale", "de", "--collator-options", '{"sensitivity":"base"}'];
+  var csv = run(options.concat(["--column", "name", "--column", "2", csvFile]));
+  assert.strictEqual(csv.status, 0, csv.stderr);
+  var payload = JSON.parse(csv.stdout);
+  var json = run(options.concat(["--column", "1=name", "--column", "2=place", jsonFile]));
+  assert.strictEqual(json.status, 0, json.stderr);
+  assert.strictEqual(json.stdout, csv.stdout, "CSV and JSON give the same payload");
+
+  assert.strictEqual(payload.version, localeCore.cacheFormatVersion);
+  [1, 2].forEach(function (colIdx, i) {
+    var column = localeCore.rankColumn(rows.map(function (row) { return row[colIdx]; }), { locale: ["de"], collatorOptions: { sensitivity: "base" } });
+    assert.deepStrictEqual(payload.columns[i], JSON.parse(JSON.stringify(localeCore.exportColumn(colIdx, column))));
+  });
+  console.log("ok CSV and JSON payloads");
+
+  [
+    [["--column", "name", csvFile], /needs --locale/],
+    [["--locale", "de", "--column", "0=nmae", csvFile], /nmae is not a column of the CSV header/],
+    [["--locale", "de", "--column", "0=nmae", jsonFile], /no row has a value for nmae/],
+    [["--locale", "de", "--column", "9", csvFile], /no row has a value for 9/],
+    [["--locale", "de", "--colum", "name", csvFile], /unknown argument --colum/],
+    [["--locale", "xx-YY", "--column", "name", csvFile], /--locale xx-YY: not supported/],
+    [["--locale", "de_DE!", "--column", "name", csvFile], /--locale de_DE!: /],
+    [["--locale", "de", "--equivalence", "Base", "--column", "name", csvFile], /--equivalence needs one of collator, strict, base/],
+    [["--locale", "de", "--equivalence", "case", "--column", "name", csvFile], /equivalence "case" does not fit the collator sensitivity "variant"/],
+    [["--locale", "de", "--collator-options", "[1]", "--column", "name", csvFile], /--collator-options needs a JSON object, not \[1\]/],
+    [["--locale", "de", "--collator-options", "null", "--column", "name", csvFile], /--collator-options needs a JSON object, not null/],
+    [["--locale", "de", "--collator-options", "{sensitivity:base}", "--column", "name", csvFile], /--collator-options needs a JSON object: /]
+  ].forEach(function (test) {
+    var result = run(test[0]);
+    assert.strictEqual(result.status, 1, test[0].join(" "));
+    assert.strictEqual(result.stdout, "");
+    assert.ok(test[1].test(result.stderr), result.stderr);
+  });
+  console.log("ok errors");
+  fs.rmSync(dir, { recursive: true });
+
+  var JSDOM, VirtualConsole;
+  try {
+    JSDOM = require('jsdom').JSDOM;
+    VirtualConsole = require('jsdom').VirtualConsole;
+    require.resolve('jquery');
+    require.resolve('datatables.net');
+  } catch (e) {
+    console.log("skipped importStringLocaleCache() round trip, needs jsdom, jquery and datatables.net: " + e.message.split("\n")[0]);
+    return;
+  }
+
+  // console output of the page, DataTables warnings of _fnLog() level 1 end up here
+  var logged = [];
+  var virtualConsole = new VirtualConsole();
+  virtualConsole.on('log', function (message) { logged.push(message); });
+  var dom = new JSDOM('<!DOCTYPE html><html><body><table id="t"><thead><tr><th>id</th><th>name</th><th>place</th></tr></thead><tbody></tbody></table></body></html>',
+    { runScripts: 'outside-only', virtualConsole: virtualConsole });
+  var window = dom.window;
+  [require.resolve('jquery'), path.join(path.dirname(require.resolve('datatables.net')), 'jquery.dataTables.js'),
+    path.join(root, 'js', 'DT_localesort.core.js'), path.join(root, 'js', 'DT_localesort.js')].forEach(function (file) {
+    window.eval(fs.readFileSync(file, 'utf8'));
+  });
+  var $ = window.jQuery;
+  $.fn.dataTable.ext.errMode = function (settings, techNote, message) { throw new Error(message); };
+
+  // counts the comparisons of the page's collator, an imported column needs none
+  var calls = 0;
+  var Collator = window.Intl.Collator;
+  window.Intl.Collator = function (locale, collatorOptions) {
+    var collator = new Collator(locale, collatorOptions);
+    return { compare: function (a, b) { calls++; return collator.compare(a, b); }, resolvedOptions: function () { return collator.resolvedOptions(); } };
+  };
+  window.Intl.Collator.supportedLocalesOf = Collator.supportedLocalesOf;
+
+  var table = $('#t').DataTable({
+    data: rows,
+    order: [[0, "asc"]],
+    columnDefs: [{ type: "string-locale-mapped-int", orderDataType: "string-locale-mapped-int", targets: [1, 2] }],
+    stringLocaleMapped: { locale: "de", collatorOptions: { sensitivity: "base" } }
+  });
+  table.importStringLocaleCache(csv.stdout);
+  calls = 0;
+  var compare = new Intl.Collator("de", { sensitivity: "base" }).compare;
+  [1, 2].forEach(function (colIdx) {
+    var sorted = table.order([[colIdx, "asc"]]).draw().column(colIdx, { order: 'applied' }).data().toArray();
+    for (var i = 1; i < sorted.length; i++) {
+      assert.ok(compare(sorted[i - 1], sorted[i]) <= 0, sorted[i - 1] + " before " + sorted[i]);
+    }
+  });
+  assert.strictEqual(calls, 0, "imported columns are not collated");
+  assert.strictEqual(JSON.stringify(table.exportStringLocaleCache()), csv.stdout.trim(), "export gives the payload back");
+
+  rows[3][1] = "geändert";
+  table.clear().rows.add(rows).draw();
+  assert.throws(function () { table.importStringLocaleCache(csv.stdout); }, /fingerprint|data|rows/);
+
+  // the importCache option with a payload not fitting the rows: the columns are ranked here, no errMode error (it throws above)
+  table.destroy();
+  table = $('#t').DataTable({
+    data: rows,
+    order: [[1, "asc"]],
+    columnDefs: [{ type: "string-locale-mapped-int", orderDataType: "string-locale-mapped-int", targets: [1, 2] }],
+    stringLocaleMapped: { locale: "de", collatorOptions: { sensitivity: "base" }, importCache: csv.stdout }
+  });
+  var sorted = table.column(1, { order: 'applied' }).data().toArray();
+  for (var i = 1; i < sorted.length; i++) {
+    assert.ok(compare(sorted[i - 1], sorted[i]) <= 0, sorted[i - 1] + " before " + sorted[i]);
+  }
+  assert.ok(/column 1 was ranked for other data/.test(logged.join("\n")), "rejected importCache logged: " + logged.join("\n"));
+  console.log("ok importStringLocaleCache() round trip");
+
+})();
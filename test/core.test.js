@@ -0,0 +1,169 @@
+/**
+ * Checks the ranks of DT_localesort.core.js against Intl.Collator: every row's rank has to be the number of rows the collator
+ * orders before it, so rows the collator holds equal share a rank. Covers the ASCII fast path and its self check (locales with
+ * contractions like Czech "ch" fail it and compare everything with the collator), collator options, caseInsensitive, normalize,
+ * sorted and mostly distinct input, rankFirst(), equivalence levels and the bundled fallback collation of runtimes without Intl.Collator.
+ *
+ * usage:
+ * node test/core.test.js
+ */
+(function(){
+  "use strict";
+
+  var assert = require('assert');
+  var fs = require('fs');
+  var path = require('path');
+  var vm = require('vm');
+  var coreFile = path.join(__dirname, '..', 'js', 'DT_localesort.core.js');
+  var localeCore = require(coreFile);
+
+  var germanWords = (new Function(fs.readFileSync(path.join(__dirname, '..', 'example', 'german.1k.js'), 'utf8') + ";return germanWords;"))();
+
+  // words of several latin languages, mixed case, digits, punctuation, decomposed umlauts and repeats
+  var values = germanWords.filter(function (word, i) { return i % 4 === 0; }).concat([
+    "Arzt", "Ärzte", "arzt", "ARZT", "Ast", "Baum", "Zeder", "Ärzte", "  Arzt ", "Ar\u200bzt",
+    "chata", "cizí", "hrad", "Chrudim", "čas", "cena", "aase", "Aachen", "ålen", "zebra", "ærlig", "øl", "Ørsted",
+    "Raum 2", "Raum 10", "Raum 1", "Rechnung 1.9", "Rechnung 1.10", "co-op", "coop", "co op", "résumé", "resume", "Résumé",
+    "", "Zeder", "Baum", "élan", "Élan", "ñandú", "nandu", "Łódź", "Lodz", "straße", "strasse"
+  ]);
+
+  // the ranks a column of values has to get: the number of values the collator orders before each one
+  function expectedRanks(keys, compare) {
+    return keys.map(function (key) {
+      var before = 0;
+      for (var j = 0; j < keys.length; j++) {
+        if (compare(keys[j], key) < 0) {
+          before++;
+        }
+      }
+      return before;
+    });
+  }
+
+  function check(name, options, keyOf, compare) {
+    var column = localeCore.rankColumn(values, options);
+    var keys = values.map(keyOf);
+    assert.deepStrictEqual(Array.prototype.slice.call(column.ranks), expectedRanks(keys, compare), name);
+    assert.strictEqual(column.distinct.keys.length, new Set(keys).size, name + ": distinct values");
+    console.log("ok " + name + " (locale " + column.locale + ", " + column.distinct.keys.length + " distinct values)");
+  }
+
+  function identity(value) { return value; }
+
+  [
+    { locale: "de" },
+    { locale: "de", collatorOptions: { sensitivity: "base" } },
+    { locale: "de-u-co-phonebk" },
+    { locale: "sv" },
+    { locale: "da" },
+    { locale: "cs" },
+    { locale: "pl" },
+    { locale: "es" },
+    { locale: "fr", collatorOptions: { sensitivity: "accent" } },
+    { locale: "en", collatorOptions: { caseFirst: "upper" } },
+    { locale: "en", collatorOptions: { ignorePunctuation: true } },
+    { locale: "de", numeric: true },
+    { locale: ["xx-YY", "sv-FI"], collatorOptions: { sensitivity: "case" } }
+  ].forEach(function (options) {
+    var collatorOptions = Object.assign({}, options.collatorOptions, options.numeric ? { numeric: true } : {});
+    var collator = new Intl.Collator(localeCore.negotiateLocale([].concat(options.locale)), collatorOptions);
+    check(JSON.stringify(options), options, identity, collator.compare);
+  });
+
+  (function () {
+    var collator = new Intl.Collator("de");
+    check("caseInsensitive", { locale: "de", caseInsensitive: true }, function (value) { return value.toLowerCase(); }, collator.compare);
+    check("normalize", { locale: "de", normalize: true }, function (value) {
+      return value.normalize("NFC").trim().replace(/\s+/g, " ").replace(/[\u200b-\u200d\u2060\ufeff]/g, "");
+    }, collator.compare);
+  })();
+
+  (function () {
+    var collator = new Intl.Collator("de");
+    var sorted = values.slice().sort(collator.compare);
+    var column = localeCore.rankColumn(sorted, { locale: "de" });
+    assert.deepStrictEqual(Array.prototype.slice.call(column.ranks), expectedRanks(sorted, collator.compare), "sorted input");
+    var reversed = sorted.slice().reverse();
+    column = localeCore.rankColumn(reversed, { locale: "de" });
+    assert.deepStrictEqual(Array.prototype.slice.call(column.ranks), expectedRanks(reversed, collator.compare), "reverse sorted input");
+    console.log("ok sorted and reverse sorted input");
+  })();
+
+  // mostly distinct values are not grouped (see groupKeys()), repeats spread over the column still share a rank and a distinct value
+  (function () {
+    var collator = new Intl.Collator("de");
+    var column = germanWords.concat(germanWords.map(function (word) { return word.toUpperCase(); }), germanWords.slice(0, 300));
+    var result = localeCore.rankColumn(column, { locale: "de" });
+    assert.deepStrictEqual(Array.prototype.slice.call(result.ranks), expectedRanks(column, collator.compare), "mostly distinct values");
+    assert.strictEqual(result.distinct.keys.length, new Set(column).size, "mostly distinct values: distinct values");
+    assert.strictEqual(result.distinct.counts.reduce(function (a, b) { return a + b; }, 0), column.length, "mostly distinct values: counts");
+    console.log("ok mostly distinct values");
+  })();
+
+  /*
+   * rankFirst() against rank(): the first count rows in sorted order (rank, then row index like DataTables breaks ties) have to be
+   * the same rows with the same ranks, ascending and descending, for random columns of a few similar words
+   */
+  (function () {
+    var words = ["a", "A", "á", "Á", "b", "B", "ä", "Ä", "ae", "Ae", "a-b", "ab", "aB", "ä b"];
+    var seed = 1;
+    function random(n) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      return seed % n;
+    }
+    function firstRows(ranks, count, descending) {
+      var rows = Array.prototype.map.call(ranks, function (rank, row) { return row; });
+      rows.sort(function (i, j) { return (descending ? ranks[j] - ranks[i] : ranks[i] - ranks[j]) || i - j; });
+      return rows.slice(0, count).map(function (row) { return row + ":" + ranks[row]; });
+    }
+    var caseCollator = new Intl.Collator("de", { sensitivity: "case" });
+    function caseEquivalent(a, b) { return caseCollator.compare(a, b) === 0; }
+    ["collator", "strict", "base", "accent", "variant", function (a, b) { return a.toLowerCase() === b.toLowerCase(); }, caseEquivalent].forEach(function (equivalence) {
+      var cmp = localeCore.createComparator("de", {}, equivalence, null);
+      for (var run = 0; run < 200; run++) {
+        var keys = [];
+        for (var n = 1 + random(40); n > 0; n--) {
+          keys.push(words[random(words.length)]);
+        }
+        var count = 1 + random(keys.length);
+        var ranks = localeCore.rank(keys, cmp).ranks;
+        [false, true].forEach(function (descending) {
+          assert.deepStrictEqual(firstRows(localeCore.rankFirst(keys, cmp, count, descending), count, descending), firstRows(ranks, count, descending),
+            "rankFirst " + equivalence + " " + JSON.stringify(keys) + " count " + count + (descending ? " descending" : ""));
+        });
+      }
+    });
+    // keys equivalent to the last selected one but not its neighbours in sorted order do not join it
+    var caseCmp = localeCore.createComparator("de", {}, caseEquivalent, null);
+    assert.deepStrictEqual(Array.prototype.slice.call(localeCore.rankFirst(["a", "A", "á", "Á"], caseCmp, 1, false)), [0, 1, 1, 1]);
+    console.log("ok rankFirst");
+  })();
+
+  // named equivalence levels have to fit the sort order, values sharing a rank sort next to each other
+  (function () {
+    assert.throws(function () { localeCore.createComparator("de", {}, "case", null); }, /equivalence "case" does not fit the collator sensitivity "variant"/);
+    assert.throws(function () { localeCore.createComparator("de", { sensitivity: "base" }, "accent", null); }, /sensitivity "base"/);
+    var column = localeCore.rankColumn(["a", "A", "á", "Á", "b"], { locale: "de", collatorOptions: { sensitivity: "case" }, equivalence: "case" });
+    assert.deepStrictEqual(Array.prototype.slice.call(column.ranks), [0, 2, 0, 2, 4]);
+    column = localeCore.rankColumn(["a", "A", "á", "Á", "b"], { locale: "de", equivalence: "accent" });
+    assert.deepStrictEqual(Array.prototype.slice.call(column.ranks), [0, 0, 2, 2, 4]);
+    console.log("ok equivalence levels");
+  })();
+
+  // the core loaded into a context without Intl uses its bundled collation tables, these have to agree with ICU on plain words
+  (function () {
+    var sandbox = { self: {} };
+    vm.createContext(sandbox);
+    vm.runInContext("Intl = undefined;" + fs.readFileSync(coreFile, 'utf8'), sandbox, { filename: coreFile });
+    var fallbackCore = sandbox.self.DT_localesortCore;
+    var words = germanWords.concat(["Arzt", "Ärzte", "Ast", "Zeder", "Öl", "Ofen", "Übel", "Ufer", "ähnlich", "Aalangel"]);
+    ["de", "sv", "fi", "da"].forEach(function (locale) {
+      var column = fallbackCore.rankColumn(words, { locale: locale, collatorOptions: { sensitivity: "base" } });
+      var collator = new Intl.Collator(locale, { sensitivity: "base" });
+      assert.strictEqual(column.collatorOptions.sensitivity, "base");
+      assert.deepStrictEqual(Array.prototype.slice.call(column.ranks), expectedRanks(words, collator.compare), "fallback collation " + locale);
+      console.log("ok fallback collation " + locale);
+    });
+  })();
+
+})();
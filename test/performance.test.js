@@ -0,0 +1,55 @@
+/**
+ * Timing checks of DT_localesort.core.js on the 80k German words of the examples, so the fast paths can not get slower unnoticed.
+ * Times are compared with each other on the same machine (best of a few runs), not with fixed numbers.
+ *
+ * usage:
+ * node test/performance.test.js
+ */
+(function(){
+  "use strict";
+
+  var assert = require('assert');
+  var fs = require('fs');
+  var path = require('path');
+  var localeCore = require(path.join(__dirname, '..', 'js', 'DT_localesort.core.js'));
+
+  var words = (new Function(fs.readFileSync(path.join(__dirname, '..', 'example', 'german.80k.js'), 'utf8') + ";return germanWords;"))();
+
+  function shuffle(values) {
+    var copy = values.slice(), seed = 7, i, j, tmp;
+    for (i = copy.length - 1; i > 0; i--) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      j = seed % (i + 1);
+      tmp = copy[i]; copy[i] = copy[j]; copy[j] = tmp;
+    }
+    return copy;
+  }
+
+  // best times of a few runs of each function in ms, after a warm up run, runs alternate so load on the machine hits all of them alike
+  function time(fns) {
+    var best = fns.map(function (fn) { fn(); return Infinity; });
+    for (var i = 0; i < 5; i++) {
+      fns.forEach(function (fn, j) {
+        var start = process.hrtime();
+        fn();
+        var elapsed = process.hrtime(start);
+        best[j] = Math.min(best[j], elapsed[0] * 1e3 + elapsed[1] / 1e6);
+      });
+    }
+    return best;
+  }
+
+  // the ASCII fast path has to clearly beat ranking the same words with the collator
+  (function () {
+    var ascii = shuffle(words.filter(function (word) { return /^[\x00-\x7f]*$/.test(word); }));
+    var collator = new Intl.Collator("de");
+    var fastCmp = localeCore.createComparator("de", {}, "collator", null);
+    var slowCmp = localeCore.createComparator("de", {}, "collator", collator.compare);
+    assert.ok(fastCmp.asciiFastPath, "no ASCII fast path for de");
+    var times = time([function () { localeCore.rank(ascii, fastCmp); }, function () { localeCore.rank(ascii, slowCmp); }]);
+    var fast = times[0], slow = times[1];
+    console.log("ASCII fast path: " + ascii.length + " words in " + fast.toFixed(0) + " ms, " + slow.toFixed(0) + " ms with the collator");
+    assert.ok(fast < slow / 1.5, "the ASCII fast path is not faster than the collator");
+  })();
+
+})();
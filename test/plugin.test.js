@@ -0,0 +1,259 @@
+/**
+ * Checks the DataTables plugin DT_localesort.js in jsdom: incremental updates of changed rows (diffSource()), ranking in a Web Worker,
+ * persisted ranks in IndexedDB, ranks sent by the server and firstPage mode. Tables have to sort like Intl.Collator in all of them,
+ * collator calls are counted to tell which way the ranks were built.
+ * Needs jsdom, jquery, datatables.net (1.10) and fake-indexeddb resolvable by require(), e.g. via NODE_PATH, and is skipped without them.
+ *
+ * usage:
+ * node test/plugin.test.js
+ */
+(function(){
+  "use strict";
+
+  var assert = require('assert');
+  var fs = require('fs');
+  var path = require('path');
+  var root = path.join(__dirname, '..');
+
+  var jsdom, fakeIndexedDB;
+  try {
+    jsdom = require('jsdom');
+    fakeIndexedDB = require('fake-indexeddb');
+    require.resolve('jquery');
+    require.resolve('datatables.net');
+  } catch (e) {
+    console.log("skipped, needs jsdom, jquery, datatables.net and fake-indexeddb: " + e.message.split("\n")[0]);
+    return;
+  }
+
+  var germanWords = (new Function(fs.readFileSync(path.join(root, 'example', 'german.1k.js'), 'utf8') + ";return germanWords;"))();
+  var compare = new Intl.Collator("de").compare;
+  var scripts = [require.resolve('jquery'), path.join(path.dirname(require.resolve('datatables.net')), 'jquery.dataTables.js'),
+    path.join(root, 'js', 'DT_localesort.core.js'), path.join(root, 'js', 'DT_localesort.js')].map(function (file) {
+    return fs.readFileSync(file, 'utf8');
+  });
+
+  /*
+   * a page with the plugin and an empty table "t" of two columns: errMode throws, console output is collected in page.logged,
+   * page.calls counts the comparisons of the page's collators. options.indexedDB is shared by pages (a browser profile), options.worker adds
+   * a Worker running the worker source in this process
+   */
+  function createPage(options) {
+    options = options || {};
+    var virtualConsole = new jsdom.VirtualConsole();
+    var page = { calls: 0, logged: [], workers: 0 };
+    virtualConsole.on('log', function (message) { page.logged.push(message); });
+    var dom = new jsdom.JSDOM('<!DOCTYPE html><html><body><table id="t"><thead><tr><th>a</th><th>b</th></tr></thead><tbody></tbody></table></body></html>',
+      { runScripts: 'outside-only', virtualConsole: virtualConsole });
+    var window = page.window = dom.window;
+    var Collator = window.Intl.Collator;
+    window.Intl.Collator = function (locale, collatorOptions) {
+      var collator = new Collator(locale, collatorOptions);
+      return { compare: function (a, b) { page.calls++; return collator.compare(a, b); }, resolvedOptions: function () { return collator.resolvedOptions(); } };
+    };
+    window.Intl.Collator.supportedLocalesOf = Collator.supportedLocalesOf;
+    if (options.indexedDB) {
+      window.indexedDB = options.indexedDB;
+      window.IDBKeyRange = fakeIndexedDB.IDBKeyRange;
+    }
+    if (options.worker) {
+      addWorker(page);
+    }
+    scripts.forEach(function (src) { window.eval(src); });
+    page.$ = window.jQuery;
+    page.$.fn.dataTable.ext.errMode = function (settings, techNote, message) { throw new Error(message); };
+    return page;
+  }
+
+  // Blob URLs and a Worker running its script in this process, messages are structured clones passed asynchronously like in a browser
+  function addWorker(page) {
+    var window = page.window, blobs = {}, n = 0;
+    window.URL.createObjectURL = function (blob) { blobs["blob:" + (++n)] = blob; return "blob:" + n; };
+    window.URL.revokeObjectURL = function () {};
+    window.Worker = function (url) {
+      var worker = this;
+      var scope = { postMessage: function (data) { setTimeout(function () { worker.onmessage({ data: structuredClone(data) }); }, 5); } };
+      var loaded = new Promise(function (resolve) {
+        var reader = new window.FileReader();
+        reader.onload = function () { resolve(reader.result); };
+        reader.readAsText(blobs[url]);
+      }).then(function (src) { new Function('self', src)(scope); });
+      page.workers++;
+      this.postMessage = function (data) {
+        data = structuredClone(data);
+        loaded.then(function () { setTimeout(function () { scope.onmessage({ data: data }); }, 5); });
+      };
+      this.terminate = function () {};
+    };
+  }
+
+  function wait(ms) {
+    return new Promise(function (resolve) { setTimeout(resolve, ms); });
+  }
+
+  // column 0 of the table in the applied order, rows of the current page only with page "current", as an array of this realm (not the page's)
+  function column(table, page) {
+    return Array.prototype.slice.call(table.column(0, { order: 'applied', page: page || 'all' }).data());
+  }
+
+  function assertSorted(values, message) {
+    for (var i = 1; i < values.length; i++) {
+      assert.ok(compare(values[i - 1], values[i]) <= 0, message + ": " + values[i - 1] + " before " + values[i]);
+    }
+  }
+
+  function mapped(targets) {
+    return [{ type: "string-locale-mapped-int", orderDataType: "string-locale-mapped-int", targets: targets }];
+  }
+
+  // rows for a table, DataTables keeps the arrays and cell edits change them
+  function createRows() {
+    return germanWords.slice(0, 400).map(function (word, i) { return [word, "r" + i]; });
+  }
+  var rows = createRows();
+
+  // changed rows are applied to the cache with a few collator calls, edits of other columns keep it
+  function testIncremental() {
+    var page = createPage();
+    var table = page.$('#t').DataTable({ data: createRows(), order: [[0, "asc"]], columnDefs: mapped([0]), stringLocaleMapped: { locale: "de", incremental: true } });
+    assertSorted(column(table), "initial");
+
+    page.calls = 0;
+    table.cell(5, 1).data("changed").draw();
+    assert.strictEqual(page.calls, 0, "edit of another column keeps the cache");
+
+    page.calls = 0;
+    table.cell(7, 0).data("Übermut");
+    table.row(3).remove();
+    table.row.add(["Ärztin", "new"]);
+    table.row.add(["Öl", "new"]);
+    table.draw();
+    var incremental = page.calls;
+    var values = column(table);
+    assertSorted(values, "after changes");
+    assert.strictEqual(values.length, rows.length + 1);
+    ["Übermut", "Ärztin", "Öl"].forEach(function (value) { assert.ok(values.indexOf(value) >= 0, value); });
+    assert.ok(values.indexOf(rows[3][0]) < 0 && values.indexOf(rows[7][0]) < 0, "removed and replaced values");
+
+    page.calls = 0;
+    table.recalcStringLocaleMappedCache();
+    assert.ok(incremental < page.calls / 4, "changes applied with " + incremental + " collator calls, a rebuild takes " + page.calls);
+    assert.deepStrictEqual(column(table.order([[0, "asc"]]).draw()), values, "same order after a rebuild");
+
+    // without incremental any change of the column rebuilds it
+    page = createPage();
+    table = page.$('#t').DataTable({ data: createRows(), order: [[0, "asc"]], columnDefs: mapped([0]), stringLocaleMapped: { locale: "de" } });
+    table.cell(9, 0).data("Zyklop").draw();
+    assertSorted(column(table), "rebuilt after a change");
+    assert.strictEqual(column(table).pop(), "Zyklop");
+    console.log("ok incremental updates");
+  }
+
+  // the worker ranks the column while the table keeps the index order, the table is sorted once the ranks arrive
+  function testWorker() {
+    var page = createPage({ worker: true });
+    var table = page.$('#t').DataTable({ data: createRows(), order: [[0, "asc"]], processing: true, columnDefs: mapped([0]),
+      stringLocaleMapped: { locale: "de", worker: true } });
+    assert.strictEqual(column(table)[0], rows[0][0], "index order until the ranks arrive");
+    assert.strictEqual(page.workers, 1);
+    return wait(200).then(function () {
+      assertSorted(column(table), "after the worker");
+      table.row.add(["Ähre", "new"]).draw();
+      return wait(200);
+    }).then(function () {
+      assertSorted(column(table), "after adding a row");
+      assert.ok(column(table).indexOf("Ähre") >= 0);
+      assert.strictEqual(page.workers, 1, "one worker per table");
+      console.log("ok worker");
+    });
+  }
+
+  // ranks stored in IndexedDB on the first visit are loaded on the next one, other data is ranked again
+  function testPersist() {
+    var indexedDB = new fakeIndexedDB.IDBFactory();
+    function visit(data) {
+      var page = createPage({ indexedDB: indexedDB });
+      var table = page.$('#t').DataTable({ data: data, order: [[0, "asc"]], columnDefs: mapped([0]), stringLocaleMapped: { locale: "de", persist: true } });
+      var calls = page.calls;
+      return wait(300).then(function () {
+        assertSorted(column(table), "persisted");
+        return page.calls - calls;
+      });
+    }
+    return visit(createRows()).then(function (calls) {
+      assert.ok(calls > 0, "first visit ranks the column");
+      return visit(createRows());
+    }).then(function (calls) {
+      assert.strictEqual(calls, 0, "second visit loads the ranks");
+      return visit(createRows().slice(1));
+    }).then(function (calls) {
+      assert.ok(calls > 0, "other data is ranked again");
+      console.log("ok persist");
+    });
+  }
+
+  // ranks from the rows' ranksSrc or an ajax response order the table without collating, ranks not fitting the rows are ignored
+  function testServerRanks() {
+    // reverse order as the server's, so its ranks are told apart from the collator's
+    var values = rows.map(function (row) { return row[0]; }).sort(compare).reverse();
+    var data = rows.map(function (row, i) { return { name: row[0], id: i, rank: values.indexOf(row[0]) }; });
+    var columns = [{ data: "name", stringLocaleMapped: { ranksSrc: "rank" } }, { data: "id" }];
+
+    var page = createPage();
+    var table = page.$('#t').DataTable({ data: data, order: [[0, "asc"]], columns: columns, columnDefs: mapped([0]), stringLocaleMapped: { locale: "de" } });
+    assert.deepStrictEqual(column(table), values, "ranksSrc");
+
+    data[4] = Object.assign({}, data[4], { rank: "x" });
+    page = createPage();
+    table = page.$('#t').DataTable({ data: data, order: [[0, "asc"]], columns: columns, columnDefs: mapped([0]), stringLocaleMapped: { locale: "de" } });
+    assertSorted(column(table), "bad ranksSrc");
+    assert.ok(/ranks of column 0 from the ranksSrc ignored/.test(page.logged.join("\n")), "bad ranks logged");
+
+    page = createPage();
+    table = page.$('#t').DataTable({
+      order: [[1, "asc"]],
+      columns: [{ data: "name" }, { data: "id" }],
+      columnDefs: mapped([0]),
+      stringLocaleMapped: { locale: "de" },
+      ajax: function (request, callback) {
+        setTimeout(function () {
+          callback({ data: data, stringLocaleRanks: { name: data.map(function (row) { return values.indexOf(row.name) * 10; }) } });
+        }, 5);
+      }
+    });
+    return wait(50).then(function () {
+      page.calls = 0;
+      assert.deepStrictEqual(column(table.order([[0, "asc"]]).draw()), values, "ajax side array");
+      assert.strictEqual(page.calls, 0, "server ranks need no collator");
+      console.log("ok server ranks");
+    });
+  }
+
+  // the rows of the current page are ranked first, paging further sorts again before the page's single draw
+  function testFirstPage() {
+    var data = germanWords.map(function (word, i) { return [word, "r" + i]; });
+    var sorted = data.map(function (row) { return row[0]; }).sort(compare);
+    var page = createPage();
+    var $ = page.$;
+    var table = $('#t').DataTable({ data: data, order: [[0, "asc"]], pageLength: 10, columnDefs: mapped([0]), stringLocaleMapped: { locale: "de", firstPage: true } });
+    assert.deepStrictEqual(column(table, 'current'), sorted.slice(0, 10), "first page");
+    var draws = 0;
+    table.on('draw', function () { draws++; });
+    $('.paginate_button.next').trigger('click');
+    assert.deepStrictEqual(column(table, 'current'), sorted.slice(10, 20), "next page");
+    table.page(20).draw('page');
+    assert.deepStrictEqual(column(table, 'current'), sorted.slice(200, 210), "page 21");
+    assert.strictEqual(draws, 2, "one draw per page change");
+    return wait(300).then(function () {
+      assert.deepStrictEqual(column(table), sorted, "whole column ranked in the background");
+      console.log("ok firstPage");
+    });
+  }
+
+  testIncremental();
+  testWorker().then(testPersist).then(testServerRanks).then(testFirstPage).catch(function (e) {
+    console.error(e);
+    process.exitCode = 1;
+  });
+
+})();